@@ -1,2 +1,10 @@
-window.RAPIDAPI_KEY = 'd8837667a4mshea92be3650c7588p1651e4jsn99dbfa063faa';
-window.OPENWEATHER_API_KEY = '71f5b6ae261ea0bf23ecc455e78d081a';
+// Defaults for the static files; server.js appends the provider settings from its
+// environment. API keys stay on the server and are never sent to the browser.
+// One of: 'openweathermap', 'weatherapi', 'open-meteo'
+window.WEATHER_PROVIDER = 'openweathermap';
+// Tried in order when the primary provider is rate limited or down
+window.WEATHER_FALLBACK_PROVIDERS = ['open-meteo'];
+// Keyed providers the server can proxy; Open-Meteo needs no key
+window.WEATHER_CONFIGURED_PROVIDERS = [];
+// How long cached weather is considered fresh before revalidating (ms)
+window.WEATHER_CACHE_TTL = 10 * 60 * 1000;
@@ -0,0 +1,263 @@
+/**
+ * Weather Alerts
+ * Official warnings normalized into one shape, whichever source issued them:
+ *
+ *   { id, event, headline, severity, description, instruction, start, end, sender, areas, source }
+ *
+ * start/end are epochs (end may be null for open-ended alerts) and severity is one of
+ * WeatherAlerts.SEVERITIES. Also keeps the active alerts seen for each location and
+ * the ids the user dismissed.
+ */
+
+class WeatherAlerts {
+    constructor(weatherService) {
+        this.weatherService = weatherService;
+        this.storageKey = 'weatherApp_alerts';
+        this.dismissedKey = 'weatherApp_dismissedAlerts';
+        this.nwsUrl = 'https://api.weather.gov/alerts/active';
+        this.active = this.loadJson(this.storageKey);
+        this.dismissed = this.loadJson(this.dismissedKey);
+    }
+
+    loadJson(key) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(key) || '{}');
+            return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (error) {
+            console.error('Error loading weather alerts:', error);
+            return {};
+        }
+    }
+
+    saveJson(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.error('Error saving weather alerts:', error);
+        }
+    }
+
+    /**
+     * Add National Weather Service alerts for US locations to the provider's own.
+     * Never throws: the weather is still shown when the alert feed is down.
+     */
+    async addRegionalAlerts(location, alerts = [], { signal = null } = {}) {
+        if (!this.isUsLocation(location)) {
+            return this.sortBySeverity(alerts);
+        }
+
+        try {
+            const data = await this.weatherService.makeRequest(this.nwsUrl, {
+                point: `${Number(location.lat).toFixed(4)},${Number(location.lon).toFixed(4)}`
+            }, { Accept: 'application/geo+json' }, { signal });
+            return this.merge(this.normalizeNws(data.features || []), alerts);
+        } catch (error) {
+            console.warn('NWS alerts unavailable:', error.message);
+            return this.sortBySeverity(alerts);
+        }
+    }
+
+    /**
+     * NWS only covers the US; go by the reported country, or by coordinates when there is none
+     */
+    isUsLocation(location) {
+        if (!location || !Number.isFinite(location.lat) || !Number.isFinite(location.lon)) {
+            return false;
+        }
+
+        if (location.country) {
+            return WeatherAlerts.US_COUNTRY_NAMES.includes(location.country);
+        }
+
+        return WeatherAlerts.US_BOUNDS.some(([south, west, north, east]) =>
+            location.lat >= south && location.lat <= north && location.lon >= west && location.lon <= east
+        );
+    }
+
+    normalizeNws(features) {
+        return features.map(feature => {
+            const alert = feature.properties || {};
+            return this.createAlert({
+                id: alert.id || feature.id,
+                event: alert.event,
+                headline: alert.headline,
+                severity: alert.severity,
+                description: alert.description,
+                instruction: alert.instruction,
+                start: this.toEpoch(alert.onset || alert.effective),
+                end: this.toEpoch(alert.ends || alert.expires),
+                sender: alert.senderName,
+                areas: alert.areaDesc,
+                source: 'nws'
+            });
+        });
+    }
+
+    /**
+     * OpenWeatherMap One Call `alerts`; these carry no severity, so it is read from the event name
+     */
+    normalizeOneCall(alerts) {
+        return alerts.map(alert => this.createAlert({
+            event: alert.event,
+            description: alert.description,
+            start: alert.start,
+            end: alert.end,
+            sender: alert.sender_name,
+            source: 'openweathermap'
+        }));
+    }
+
+    normalizeWeatherApi(alerts) {
+        return alerts.map(alert => this.createAlert({
+            event: alert.event,
+            headline: alert.headline,
+            severity: alert.severity,
+            description: alert.desc,
+            instruction: alert.instruction,
+            start: this.toEpoch(alert.effective),
+            end: this.toEpoch(alert.expires),
+            areas: alert.areas,
+            source: 'weatherapi'
+        }));
+    }
+
+    createAlert({ id, event, headline, severity, description, instruction, start, end, sender, areas, source }) {
+        const name = (event || 'Weather alert').trim();
+        const startEpoch = Number.isFinite(start) ? start : null;
+
+        return {
+            // Sources without ids get a stable one from the event and start time
+            id: id || `${source}:${name.toLowerCase()}:${startEpoch || ''}`,
+            event: name,
+            headline: (headline || '').trim() || name,
+            severity: this.normalizeSeverity(severity, name),
+            description: (description || '').trim(),
+            instruction: (instruction || '').trim(),
+            start: startEpoch,
+            end: Number.isFinite(end) ? end : null,
+            sender: (sender || '').trim(),
+            areas: (areas || '').trim(),
+            source: source
+        };
+    }
+
+    /**
+     * CAP severity when given, otherwise inferred from the usual warning/watch/advisory naming
+     */
+    normalizeSeverity(severity, event) {
+        const value = String(severity || '').toLowerCase();
+        if (WeatherAlerts.SEVERITIES.includes(value) && value !== 'unknown') {
+            return value;
+        }
+
+        const name = event.toLowerCase();
+        if (/emergency|extreme|tornado warning|hurricane warning/.test(name)) return 'extreme';
+        if (/warning/.test(name)) return 'severe';
+        if (/watch/.test(name)) return 'moderate';
+        if (/advisory|statement|outlook/.test(name)) return 'minor';
+        return 'unknown';
+    }
+
+    toEpoch(value) {
+        const time = Date.parse(value);
+        return Number.isNaN(time) ? null : Math.floor(time / 1000);
+    }
+
+    /**
+     * Combine alert lists, keeping the first copy of an event that several sources report
+     */
+    merge(...lists) {
+        const seen = new Set();
+        const merged = [];
+
+        lists.flat().forEach(alert => {
+            const hourStart = alert.start ? Math.floor(alert.start / 3600) : '';
+            const key = `${alert.event.toLowerCase()}|${hourStart}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            merged.push(alert);
+        });
+
+        return this.sortBySeverity(merged);
+    }
+
+    sortBySeverity(alerts) {
+        return [...alerts].sort((a, b) =>
+            WeatherAlerts.SEVERITIES.indexOf(a.severity) - WeatherAlerts.SEVERITIES.indexOf(b.severity) ||
+            (a.start || 0) - (b.start || 0)
+        );
+    }
+
+    /**
+     * Alerts that have not ended yet
+     */
+    filterActive(alerts, nowEpoch = Math.floor(Date.now() / 1000)) {
+        return (alerts || []).filter(alert => !alert.end || alert.end > nowEpoch);
+    }
+
+    getLocationId(lat, lon) {
+        return `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+    }
+
+    /**
+     * Remember the active alerts for a location, dropping locations whose alerts have all ended
+     */
+    record(location, alerts) {
+        if (!location || !Number.isFinite(location.lat) || !Number.isFinite(location.lon)) return;
+
+        const id = this.getLocationId(location.lat, location.lon);
+        const active = this.filterActive(alerts);
+        if (active.length > 0) {
+            this.active[id] = active;
+        } else {
+            delete this.active[id];
+        }
+
+        Object.keys(this.active).forEach(key => {
+            this.active[key] = this.filterActive(this.active[key]);
+            if (this.active[key].length === 0) {
+                delete this.active[key];
+            }
+        });
+        this.saveJson(this.storageKey, this.active);
+    }
+
+    /**
+     * Active alerts last seen for a location
+     */
+    getActive(lat, lon) {
+        return this.filterActive(this.active[this.getLocationId(lat, lon)]);
+    }
+
+    isDismissed(alert) {
+        return Object.prototype.hasOwnProperty.call(this.dismissed, alert.id);
+    }
+
+    /**
+     * Hide an alert until it ends; ids are kept with the end time so expired ones can be pruned
+     */
+    dismiss(alert) {
+        const nowEpoch = Math.floor(Date.now() / 1000);
+        Object.keys(this.dismissed).forEach(id => {
+            if (this.dismissed[id] && this.dismissed[id] <= nowEpoch) {
+                delete this.dismissed[id];
+            }
+        });
+
+        this.dismissed[alert.id] = alert.end;
+        this.saveJson(this.dismissedKey, this.dismissed);
+    }
+}
+
+// Most severe first; the order is used for sorting and for the banner color
+WeatherAlerts.SEVERITIES = ['extreme', 'severe', 'moderate', 'minor', 'unknown'];
+
+WeatherAlerts.US_COUNTRY_NAMES = ['US', 'USA', 'United States', 'United States of America'];
+
+// [south, west, north, east]: contiguous US, Alaska, Hawaii, Puerto Rico and the US Virgin Islands
+WeatherAlerts.US_BOUNDS = [
+    [24.4, -125.0, 49.4, -66.9],
+    [51.2, -179.2, 71.5, -129.9],
+    [18.9, -160.3, 22.3, -154.8],
+    [17.6, -67.3, 18.6, -64.5]
+];
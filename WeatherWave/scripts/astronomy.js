@@ -0,0 +1,307 @@
+/**
+ * Astronomy Calculator
+ * Local sun and moon calculations for any latitude/longitude and time.
+ * Based on the low-precision formulae from the Astronomical Almanac,
+ * accurate to well under a degree (about a minute for rise/set times),
+ * which is plenty for weather display.
+ */
+
+class AstronomyCalculator {
+    constructor() {
+        this.rad = Math.PI / 180;
+        this.dayMs = 24 * 60 * 60 * 1000;
+        this.j1970 = 2440588;
+        this.j2000 = 2451545;
+        this.obliquity = this.rad * 23.4397;
+        this.transitOffset = 0.0009;
+    }
+
+    /**
+     * Days since the J2000 epoch for a Date
+     */
+    toDays(date) {
+        return date.valueOf() / this.dayMs - 0.5 + this.j1970 - this.j2000;
+    }
+
+    /**
+     * Unix timestamp (seconds) for a Julian date
+     */
+    fromJulian(julian) {
+        return Math.round((julian + 0.5 - this.j1970) * this.dayMs / 1000);
+    }
+
+    getSolarMeanAnomaly(days) {
+        return this.rad * (357.5291 + 0.98560028 * days);
+    }
+
+    getEclipticLongitude(meanAnomaly) {
+        const center = this.rad * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+        const perihelion = this.rad * 102.9372;
+        return meanAnomaly + center + perihelion + Math.PI;
+    }
+
+    getDeclination(longitude, latitude = 0) {
+        return Math.asin(Math.sin(latitude) * Math.cos(this.obliquity) + Math.cos(latitude) * Math.sin(this.obliquity) * Math.sin(longitude));
+    }
+
+    getRightAscension(longitude, latitude = 0) {
+        return Math.atan2(Math.sin(longitude) * Math.cos(this.obliquity) - Math.tan(latitude) * Math.sin(this.obliquity), Math.cos(longitude));
+    }
+
+    getSiderealTime(days, lon) {
+        return this.rad * (280.16 + 360.9856235 * days) + this.rad * lon;
+    }
+
+    getAltitude(hourAngle, phi, declination) {
+        return Math.asin(Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle));
+    }
+
+    getAzimuth(hourAngle, phi, declination) {
+        return Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi));
+    }
+
+    /**
+     * Sun altitude above the horizon and azimuth, both in degrees
+     */
+    getSunPosition(date, lat, lon) {
+        const days = this.toDays(date);
+        const longitude = this.getEclipticLongitude(this.getSolarMeanAnomaly(days));
+        const declination = this.getDeclination(longitude);
+        const hourAngle = this.getSiderealTime(days, lon) - this.getRightAscension(longitude);
+        const phi = this.rad * lat;
+
+        return {
+            altitude: this.getAltitude(hourAngle, phi, declination) / this.rad,
+            azimuth: (this.getAzimuth(hourAngle, phi, declination) / this.rad + 180) % 360
+        };
+    }
+
+    /**
+     * Sun elevation in degrees for a unix timestamp
+     */
+    getSolarElevation(epoch, lat, lon) {
+        return this.getSunPosition(new Date(epoch * 1000), lat, lon).altitude;
+    }
+
+    /**
+     * Whether the sun is above the sunrise and sunset altitude at a unix timestamp
+     */
+    isSunUp(epoch, lat, lon) {
+        return this.getSolarElevation(epoch, lat, lon) > AstronomyCalculator.SUNRISE_ALTITUDE;
+    }
+
+    /**
+     * Unix timestamp of local noon on a YYYY-MM-DD date at the given UTC offset
+     */
+    getLocalNoon(dateKey, utcOffset = 0) {
+        return Date.parse(`${dateKey}T12:00:00Z`) / 1000 - utcOffset;
+    }
+
+    /**
+     * Sun event times for a location's calendar day, as unix timestamps.
+     * Each entry in SUN_EVENTS gives the sun altitude that starts the morning
+     * event and ends the evening one; events the sun never reaches (polar
+     * day or night) are null.
+     */
+    getSunTimes(dateKey, utcOffset, lat, lon) {
+        const lw = -this.rad * lon;
+        const phi = this.rad * lat;
+        const days = this.toDays(new Date(this.getLocalNoon(dateKey, utcOffset) * 1000));
+
+        const cycle = Math.round(days - this.transitOffset - lw / (2 * Math.PI));
+        const approxNoon = this.transitOffset + lw / (2 * Math.PI) + cycle;
+        const meanAnomaly = this.getSolarMeanAnomaly(approxNoon);
+        const longitude = this.getEclipticLongitude(meanAnomaly);
+        const declination = this.getDeclination(longitude);
+
+        const getTransit = approx => this.j2000 + approx + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * longitude);
+        const noon = getTransit(approxNoon);
+
+        const times = {
+            solarNoon: this.fromJulian(noon),
+            nadir: this.fromJulian(noon - 0.5)
+        };
+
+        AstronomyCalculator.SUN_EVENTS.forEach(([angle, morningName, eveningName]) => {
+            const hourAngle = Math.acos((Math.sin(angle * this.rad) - Math.sin(phi) * Math.sin(declination)) / (Math.cos(phi) * Math.cos(declination)));
+            if (Number.isNaN(hourAngle)) {
+                times[morningName] = null;
+                times[eveningName] = null;
+                return;
+            }
+
+            const set = getTransit(this.transitOffset + (hourAngle + lw) / (2 * Math.PI) + cycle);
+            times[morningName] = this.fromJulian(noon - (set - noon));
+            times[eveningName] = this.fromJulian(set);
+        });
+
+        return times;
+    }
+
+    /**
+     * Seconds between sunrise and sunset; a full or empty day when the sun
+     * never crosses the horizon
+     */
+    getDayLength(sunTimes, lat, lon) {
+        if (sunTimes.sunrise !== null && sunTimes.sunset !== null) {
+            return sunTimes.sunset - sunTimes.sunrise;
+        }
+        return this.getSolarElevation(sunTimes.solarNoon, lat, lon) > 0 ? 24 * 60 * 60 : 0;
+    }
+
+    /**
+     * Geocentric ecliptic coordinates of the moon
+     */
+    getMoonCoords(days) {
+        const longitude = this.rad * (218.316 + 13.176396 * days);
+        const meanAnomaly = this.rad * (134.963 + 13.064993 * days);
+        const meanDistance = this.rad * (93.272 + 13.229350 * days);
+
+        const eclipticLongitude = longitude + this.rad * 6.289 * Math.sin(meanAnomaly);
+        const eclipticLatitude = this.rad * 5.128 * Math.sin(meanDistance);
+
+        return {
+            rightAscension: this.getRightAscension(eclipticLongitude, eclipticLatitude),
+            declination: this.getDeclination(eclipticLongitude, eclipticLatitude),
+            distance: 385001 - 20905 * Math.cos(meanAnomaly)
+        };
+    }
+
+    /**
+     * Moon altitude (corrected for refraction) and azimuth, both in degrees
+     */
+    getMoonPosition(date, lat, lon) {
+        const days = this.toDays(date);
+        const coords = this.getMoonCoords(days);
+        const hourAngle = this.getSiderealTime(days, lon) - coords.rightAscension;
+        const phi = this.rad * lat;
+
+        const altitude = this.getAltitude(hourAngle, phi, coords.declination);
+        const clamped = Math.max(altitude, 0);
+        const refraction = 0.0002967 / Math.tan(clamped + 0.00312536 / (clamped + 0.08901179));
+
+        return {
+            altitude: (altitude + refraction) / this.rad,
+            azimuth: (this.getAzimuth(hourAngle, phi, coords.declination) / this.rad + 180) % 360,
+            distance: coords.distance
+        };
+    }
+
+    /**
+     * Illuminated fraction (0-1) and phase (0 new, 0.25 first quarter,
+     * 0.5 full, 0.75 last quarter) of the moon at a unix timestamp
+     */
+    getMoonIllumination(epoch) {
+        const days = this.toDays(new Date(epoch * 1000));
+        const sunLongitude = this.getEclipticLongitude(this.getSolarMeanAnomaly(days));
+        const sun = {
+            rightAscension: this.getRightAscension(sunLongitude),
+            declination: this.getDeclination(sunLongitude)
+        };
+        const moon = this.getMoonCoords(days);
+        const sunDistance = 149598000;
+
+        const elongation = Math.acos(Math.sin(sun.declination) * Math.sin(moon.declination) +
+            Math.cos(sun.declination) * Math.cos(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension));
+        const inclination = Math.atan2(sunDistance * Math.sin(elongation), moon.distance - sunDistance * Math.cos(elongation));
+        const angle = Math.atan2(Math.cos(sun.declination) * Math.sin(sun.rightAscension - moon.rightAscension),
+            Math.sin(sun.declination) * Math.cos(moon.declination) -
+            Math.cos(sun.declination) * Math.sin(moon.declination) * Math.cos(sun.rightAscension - moon.rightAscension));
+
+        return {
+            fraction: (1 + Math.cos(inclination)) / 2,
+            phase: 0.5 + 0.5 * inclination * (angle < 0 ? -1 : 1) / Math.PI
+        };
+    }
+
+    getMoonPhaseName(phase) {
+        const match = AstronomyCalculator.MOON_PHASES.find(([limit]) => phase < limit);
+        return match ? match[1] : 'New Moon';
+    }
+
+    /**
+     * Moonrise and moonset within a location's calendar day, found by fitting
+     * a parabola through the moon's altitude every hour. Either may be null
+     * (the moon does not rise or set every day).
+     */
+    getMoonTimes(dateKey, utcOffset, lat, lon) {
+        const midnight = Date.parse(`${dateKey}T00:00:00Z`) / 1000 - utcOffset;
+        const horizon = 0.133;
+        const altitudeAt = hours => this.getMoonPosition(new Date((midnight + hours * 3600) * 1000), lat, lon).altitude - horizon;
+
+        let rise = null;
+        let set = null;
+        let extreme = 0;
+        let h0 = altitudeAt(0);
+
+        for (let i = 1; i <= 24; i += 2) {
+            const h1 = altitudeAt(i);
+            const h2 = altitudeAt(i + 1);
+
+            const a = (h0 + h2) / 2 - h1;
+            const b = (h2 - h0) / 2;
+            const xe = -b / (2 * a);
+            const discriminant = b * b - 4 * a * h1;
+            let roots = 0;
+            let x1 = 0;
+            let x2 = 0;
+            extreme = (a * xe + b) * xe + h1;
+
+            if (discriminant >= 0) {
+                const dx = Math.sqrt(discriminant) / (Math.abs(a) * 2);
+                x1 = xe - dx;
+                x2 = xe + dx;
+                if (Math.abs(x1) <= 1) roots++;
+                if (Math.abs(x2) <= 1) roots++;
+                if (x1 < -1) x1 = x2;
+            }
+
+            if (roots === 1) {
+                if (h0 < 0) {
+                    rise = i + x1;
+                } else {
+                    set = i + x1;
+                }
+            } else if (roots === 2) {
+                rise = i + (extreme < 0 ? x2 : x1);
+                set = i + (extreme < 0 ? x1 : x2);
+            }
+
+            if (rise !== null && set !== null) break;
+            h0 = h2;
+        }
+
+        const toEpoch = hours => Math.round(midnight + hours * 3600);
+        return {
+            rise: rise !== null ? toEpoch(rise) : null,
+            set: set !== null ? toEpoch(set) : null,
+            alwaysUp: rise === null && set === null && extreme > 0,
+            alwaysDown: rise === null && set === null && extreme <= 0
+        };
+    }
+}
+
+// Sun altitude in degrees at sunrise and sunset, allowing for refraction and the sun's radius
+AstronomyCalculator.SUNRISE_ALTITUDE = -0.833;
+
+// [sun altitude in degrees, morning event, evening event]
+AstronomyCalculator.SUN_EVENTS = [
+    [AstronomyCalculator.SUNRISE_ALTITUDE, 'sunrise', 'sunset'],
+    [-4, 'blueHourEnd', 'blueHourStart'],
+    [-6, 'civilDawn', 'civilDusk'],
+    [-12, 'nauticalDawn', 'nauticalDusk'],
+    [-18, 'astronomicalDawn', 'astronomicalDusk'],
+    [6, 'goldenHourEnd', 'goldenHourStart']
+];
+
+// [upper phase limit, name]
+AstronomyCalculator.MOON_PHASES = [
+    [0.025, 'New Moon'],
+    [0.225, 'Waxing Crescent'],
+    [0.275, 'First Quarter'],
+    [0.475, 'Waxing Gibbous'],
+    [0.525, 'Full Moon'],
+    [0.725, 'Waning Gibbous'],
+    [0.775, 'Last Quarter'],
+    [0.975, 'Waning Crescent']
+];
@@ -0,0 +1,137 @@
+/**
+ * Weather Cache
+ * Keeps normalized weather payloads in memory and persists them to IndexedDB
+ * so they survive reloads. The memory copy holds only the most recently used
+ * entries; `prune` drops persisted entries past a maximum age.
+ */
+
+class WeatherCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'weatherApp';
+        this.storeName = options.storeName || 'responses';
+        this.memoryLimit = options.memoryLimit || WeatherCache.MEMORY_LIMIT;
+        this.memory = new Map();
+        this.dbPromise = this.openDatabase();
+    }
+
+    /**
+     * Open (or create) the IndexedDB database; resolves to null when unavailable
+     */
+    openDatabase() {
+        if (!window.indexedDB) {
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            const request = window.indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, caching in memory only:', request.error);
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Run a single IndexedDB request inside a transaction
+     */
+    async runTransaction(mode, callback) {
+        const db = await this.dbPromise;
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = callback(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : null);
+            transaction.onerror = () => reject(transaction.error);
+            // An abort (e.g. quota exceeded, connection closed) may not fire onerror
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Get a cached entry ({ key, data, timestamp }) or null
+     */
+    async get(key) {
+        if (this.memory.has(key)) {
+            const entry = this.memory.get(key);
+            this.remember(entry);
+            return entry;
+        }
+
+        try {
+            const entry = await this.runTransaction('readonly', store => store.get(key));
+            if (entry) {
+                this.remember(entry);
+            }
+            return entry || null;
+        } catch (error) {
+            console.error('Error reading weather cache:', error);
+            return null;
+        }
+    }
+
+    async set(key, data) {
+        const entry = { key, data, timestamp: Date.now() };
+        this.remember(entry);
+
+        try {
+            await this.runTransaction('readwrite', store => store.put(entry));
+        } catch (error) {
+            console.error('Error writing weather cache:', error);
+        }
+        return entry;
+    }
+
+    /**
+     * Keep an entry in memory as the most recently used (a Map iterates in insertion
+     * order), dropping the least recently used beyond the limit
+     */
+    remember(entry) {
+        this.memory.delete(entry.key);
+        this.memory.set(entry.key, entry);
+
+        while (this.memory.size > this.memoryLimit) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+
+    /**
+     * Delete every entry older than `maxAge` milliseconds
+     */
+    async prune(maxAge) {
+        const cutoff = Date.now() - maxAge;
+
+        this.memory.forEach((entry, key) => {
+            if (entry.timestamp < cutoff) {
+                this.memory.delete(key);
+            }
+        });
+
+        try {
+            await this.runTransaction('readwrite', store => {
+                const request = store.openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    if (cursor.value.timestamp < cutoff) {
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                };
+                return null;
+            });
+        } catch (error) {
+            console.error('Error pruning weather cache:', error);
+        }
+    }
+}
+
+WeatherCache.MEMORY_LIMIT = 50;
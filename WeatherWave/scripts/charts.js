@@ -0,0 +1,306 @@
+/**
+ * Weather Charts
+ * Dependency-free SVG charts for the hourly and daily forecasts, with
+ * hover/touch tooltips. Values are converted to the selected units.
+ */
+
+class WeatherCharts {
+    constructor(weatherService, units) {
+        this.weatherService = weatherService;
+        this.units = units;
+        this.svgNamespace = 'http://www.w3.org/2000/svg';
+    }
+
+    /**
+     * Hourly chart: temperature and feels-like lines, chance of rain bars and wind arrows
+     */
+    renderHourly(container, hourly, utcOffset = 0) {
+        container.innerHTML = '';
+        if (!hourly || hourly.length < 2) return;
+
+        const step = 32;
+        const padding = { left: 16, right: 16 };
+        const width = padding.left + hourly.length * step + padding.right;
+        const height = 270;
+        const tempArea = { top: 28, bottom: 140 };
+        const rainArea = { top: 172, bottom: 220 };
+        const windY = 238;
+
+        const xAt = index => padding.left + index * step + step / 2;
+        const temps = hourly.map(hour => this.units.convertTemperature(hour.temp_c));
+        const feelsLike = hourly.map(hour => this.units.convertTemperature(hour.feelslike_c ?? hour.temp_c));
+        const yTemp = this.createScale(Math.min(...temps, ...feelsLike), Math.max(...temps, ...feelsLike), tempArea.bottom, tempArea.top);
+
+        const svg = this.createSvg(width, height);
+        svg.setAttribute('width', width);
+        svg.setAttribute('aria-label', `Hourly temperature, chance of rain and wind for the next ${hourly.length} hours`);
+
+        // Chance of rain bars
+        hourly.forEach((hour, index) => {
+            const barHeight = (rainArea.bottom - rainArea.top) * Math.min(hour.chance_of_rain || 0, 100) / 100;
+            svg.appendChild(this.createElement('rect', {
+                class: 'chart-bar',
+                x: xAt(index) - step * 0.3,
+                y: rainArea.bottom - barHeight,
+                width: step * 0.6,
+                height: barHeight,
+                rx: 2
+            }));
+        });
+        svg.appendChild(this.createElement('line', {
+            class: 'chart-axis',
+            x1: padding.left,
+            x2: width - padding.right,
+            y1: rainArea.bottom,
+            y2: rainArea.bottom
+        }));
+
+        // Temperature lines
+        svg.appendChild(this.createElement('path', {
+            class: 'chart-line chart-line-feels',
+            d: this.buildPath(feelsLike.map((value, index) => [xAt(index), yTemp(value)]))
+        }));
+        svg.appendChild(this.createElement('path', {
+            class: 'chart-line chart-line-temp',
+            d: this.buildPath(temps.map((value, index) => [xAt(index), yTemp(value)]))
+        }));
+
+        hourly.forEach((hour, index) => {
+            const x = xAt(index);
+
+            // Labels every third hour keep the chart readable
+            if (index % 3 === 0) {
+                svg.appendChild(this.createText(this.units.formatTemperature(hour.temp_c), x, yTemp(temps[index]) - 8, 'chart-label chart-label-temp'));
+                svg.appendChild(this.createText(
+                    this.weatherService.formatLocationTime(hour.time, utcOffset, { hour: 'numeric', hour12: true }),
+                    x, 160, 'chart-label chart-label-time'
+                ));
+                svg.appendChild(this.createText(String(this.units.convertWind(hour.wind_kph)), x, windY + 22, 'chart-label'));
+            }
+
+            // Arrows point the way the wind blows (it is reported by where it comes from)
+            const arrow = this.createElement('path', {
+                class: 'chart-wind',
+                d: 'M0,-7 L4,5 L0,2 L-4,5 Z',
+                transform: `translate(${x}, ${windY}) rotate(${(this.getWindDegree(hour) + 180) % 360})`
+            });
+            svg.appendChild(arrow);
+        });
+
+        container.appendChild(this.createLegend([
+            { className: 'legend-temp', label: 'Temperature' },
+            { className: 'legend-feels', label: 'Feels like' },
+            { className: 'legend-rain', label: 'Chance of rain' },
+            { className: 'legend-wind', label: `Wind (${this.units.getLabel('wind')})` }
+        ]));
+        container.appendChild(this.wrapScrollable(svg));
+
+        this.attachTooltip(container, svg, {
+            count: hourly.length,
+            indexAt: x => Math.round((x - padding.left - step / 2) / step),
+            xAt,
+            height,
+            render: index => {
+                const hour = hourly[index];
+                return `
+                    <strong>${this.weatherService.formatLocationTime(hour.time, utcOffset, { weekday: 'short', hour: 'numeric', minute: '2-digit', hour12: true })}</strong>
+                    <span>${hour.condition.text}</span>
+                    <span>Temperature ${this.units.formatTemperature(hour.temp_c)}</span>
+                    <span>Feels like ${this.units.formatTemperature(hour.feelslike_c ?? hour.temp_c)}</span>
+                    <span>Chance of rain ${Math.round(hour.chance_of_rain || 0)}%</span>
+                    <span>Wind ${this.units.formatWind(hour.wind_kph)} ${hour.wind_dir || ''}</span>
+                `;
+            }
+        });
+    }
+
+    /**
+     * Daily chart: a high/low range bar per day with lines joining the highs and the lows
+     */
+    renderDaily(container, forecastDays) {
+        container.innerHTML = '';
+
+        // Days beyond the provider's range have no values to plot
+        const days = (forecastDays || []).filter(day => !day.unavailable);
+        if (days.length < 2) return;
+
+        const width = 700;
+        const height = 230;
+        const step = width / days.length;
+        const area = { top: 34, bottom: 170 };
+
+        const xAt = index => index * step + step / 2;
+        const highs = days.map(day => this.units.convertTemperature(day.day.maxtemp_c));
+        const lows = days.map(day => this.units.convertTemperature(day.day.mintemp_c));
+        const yTemp = this.createScale(Math.min(...lows), Math.max(...highs), area.bottom, area.top);
+
+        const svg = this.createSvg(width, height);
+        svg.setAttribute('aria-label', `Daily high and low temperatures for ${days.length} days`);
+
+        days.forEach((day, index) => {
+            const x = xAt(index);
+            const yHigh = yTemp(highs[index]);
+            const yLow = yTemp(lows[index]);
+
+            svg.appendChild(this.createElement('rect', {
+                class: 'chart-range',
+                x: x - 6,
+                y: yHigh,
+                width: 12,
+                height: Math.max(yLow - yHigh, 2),
+                rx: 6
+            }));
+            svg.appendChild(this.createText(this.units.formatTemperature(day.day.maxtemp_c), x, yHigh - 10, 'chart-label chart-label-temp'));
+            svg.appendChild(this.createText(this.units.formatTemperature(day.day.mintemp_c), x, yLow + 20, 'chart-label'));
+            svg.appendChild(this.createText(this.formatDay(day.date), x, 200, 'chart-label chart-label-time'));
+            svg.appendChild(this.createText(`${Math.round(day.day.daily_chance_of_rain || 0)}%`, x, 220, 'chart-label chart-label-rain'));
+        });
+
+        svg.appendChild(this.createElement('path', {
+            class: 'chart-line chart-line-temp',
+            d: this.buildPath(highs.map((value, index) => [xAt(index), yTemp(value)]))
+        }));
+        svg.appendChild(this.createElement('path', {
+            class: 'chart-line chart-line-low',
+            d: this.buildPath(lows.map((value, index) => [xAt(index), yTemp(value)]))
+        }));
+
+        container.appendChild(this.createLegend([
+            { className: 'legend-temp', label: 'High' },
+            { className: 'legend-low', label: 'Low' },
+            { className: 'legend-rain', label: 'Chance of rain' }
+        ]));
+        container.appendChild(svg);
+
+        this.attachTooltip(container, svg, {
+            count: days.length,
+            indexAt: x => Math.floor(x / step),
+            xAt,
+            height,
+            render: index => {
+                const day = days[index];
+                return `
+                    <strong>${this.formatDay(day.date, { weekday: 'long', month: 'short', day: 'numeric' })}</strong>
+                    <span>${day.day.condition.text}</span>
+                    <span>High ${this.units.formatTemperature(day.day.maxtemp_c)} · Low ${this.units.formatTemperature(day.day.mintemp_c)}</span>
+                    <span>Chance of rain ${Math.round(day.day.daily_chance_of_rain || 0)}%</span>
+                    <span>Wind up to ${this.units.formatWind(day.day.maxwind_kph)}</span>
+                `;
+            }
+        });
+    }
+
+    /**
+     * Show a tooltip and guide line for the column under the pointer (mouse, pen or touch)
+     */
+    attachTooltip(container, svg, { count, indexAt, xAt, height, render }) {
+        const tooltip = document.createElement('div');
+        tooltip.className = 'chart-tooltip hidden';
+        container.appendChild(tooltip);
+
+        const guide = this.createElement('line', { class: 'chart-guide hidden', y1: 0, y2: height });
+        svg.appendChild(guide);
+
+        const show = (e) => {
+            const rect = svg.getBoundingClientRect();
+            const viewBoxWidth = svg.viewBox.baseVal.width;
+            const scale = rect.width / viewBoxWidth;
+            const index = indexAt((e.clientX - rect.left) / scale);
+            if (index < 0 || index >= count) {
+                hide();
+                return;
+            }
+
+            const x = xAt(index);
+            guide.setAttribute('x1', x);
+            guide.setAttribute('x2', x);
+            guide.classList.remove('hidden');
+
+            tooltip.innerHTML = render(index);
+            tooltip.classList.remove('hidden');
+
+            // Keep the tooltip inside the container, flipping to the left near the right edge
+            const containerRect = container.getBoundingClientRect();
+            const pointX = rect.left + x * scale - containerRect.left;
+            const flip = pointX + tooltip.offsetWidth + 12 > container.clientWidth;
+            tooltip.style.left = `${Math.max(0, flip ? pointX - tooltip.offsetWidth - 12 : pointX + 12)}px`;
+            tooltip.style.top = `${rect.top - containerRect.top + 8}px`;
+        };
+
+        const hide = () => {
+            tooltip.classList.add('hidden');
+            guide.classList.add('hidden');
+        };
+
+        svg.addEventListener('pointermove', show);
+        svg.addEventListener('pointerdown', show);
+        svg.addEventListener('pointerleave', hide);
+    }
+
+    createSvg(width, height) {
+        return this.createElement('svg', {
+            class: 'chart-svg',
+            viewBox: `0 0 ${width} ${height}`,
+            role: 'img'
+        });
+    }
+
+    createElement(tag, attributes = {}) {
+        const element = document.createElementNS(this.svgNamespace, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        return element;
+    }
+
+    createText(text, x, y, className) {
+        const element = this.createElement('text', { x, y, class: className, 'text-anchor': 'middle' });
+        element.textContent = text;
+        return element;
+    }
+
+    createLegend(items) {
+        const legend = document.createElement('div');
+        legend.className = 'chart-legend';
+        legend.innerHTML = items.map(item => `
+            <span class="chart-legend-item"><span class="chart-legend-swatch ${item.className}"></span>${item.label}</span>
+        `).join('');
+        return legend;
+    }
+
+    wrapScrollable(svg) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'chart-scroll';
+        wrapper.appendChild(svg);
+        return wrapper;
+    }
+
+    /**
+     * Linear scale from a value range onto pixel coordinates, padded so lines never touch the edges
+     */
+    createScale(min, max, outStart, outEnd) {
+        const padding = Math.max((max - min) * 0.1, 1);
+        const domainMin = min - padding;
+        const domainMax = max + padding;
+        return value => outStart + (value - domainMin) / (domainMax - domainMin) * (outEnd - outStart);
+    }
+
+    buildPath(points) {
+        return points.map(([x, y], index) => `${index === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+    }
+
+    /**
+     * Degrees the wind comes from, using the compass point when no bearing was reported
+     */
+    getWindDegree(hour) {
+        if (Number.isFinite(hour.wind_degree)) {
+            return hour.wind_degree;
+        }
+        const index = WeatherCharts.COMPASS_POINTS.indexOf(hour.wind_dir);
+        return index === -1 ? 0 : index * 22.5;
+    }
+
+    formatDay(dateKey, options = { weekday: 'short' }) {
+        return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+    }
+}
+
+WeatherCharts.COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
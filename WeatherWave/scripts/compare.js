@@ -0,0 +1,220 @@
+/**
+ * Comparison Controller
+ * Loads 2-4 locations in parallel and renders them as aligned columns,
+ * highlighting where they differ. All values come from the metric fields
+ * and are formatted in the selected units.
+ */
+
+class ComparisonController {
+    constructor(weatherService, units) {
+        this.weatherService = weatherService;
+        this.units = units;
+        this.places = [];
+        this.results = [];
+        this.requestId = 0;
+    }
+
+    setPlaces(places) {
+        this.places = places.filter(Boolean).slice(0, ComparisonController.MAX_PLACES);
+        this.results = this.results.filter(result => this.places.some(place => place.id === result.place.id));
+    }
+
+    canCompare() {
+        return this.places.length >= ComparisonController.MIN_PLACES;
+    }
+
+    /**
+     * Fetch every place in parallel; resolves false when a newer load superseded this one
+     */
+    async load() {
+        const requestId = ++this.requestId;
+
+        const results = await Promise.all(this.places.map(async place => {
+            try {
+                return { place, weatherData: await this.weatherService.getWeatherByCoords(place.lat, place.lon, { place }) };
+            } catch (error) {
+                console.error(`Failed to load weather for ${place.name}:`, error);
+                return { place, weatherData: error.cachedData || null };
+            }
+        }));
+
+        if (requestId !== this.requestId) {
+            return false;
+        }
+        this.results = results;
+        return true;
+    }
+
+    /**
+     * Swap in data refreshed in the background; returns true when a column changed
+     */
+    updateCachedData(cacheKey, weatherData) {
+        const result = this.results.find(item =>
+            this.weatherService.getCacheKey({ lat: item.place.lat, lon: item.place.lon }) === cacheKey
+        );
+        if (!result) return false;
+
+        result.weatherData = weatherData;
+        return true;
+    }
+
+    render(container) {
+        if (!this.canCompare()) {
+            container.innerHTML = `<p class="compare-empty">Pick at least ${ComparisonController.MIN_PLACES} locations to compare.</p>`;
+            return;
+        }
+
+        if (this.results.length === 0) {
+            container.innerHTML = '<p class="compare-empty"><i class="fas fa-spinner fa-spin"></i> Loading locations...</p>';
+            return;
+        }
+
+        const results = this.results;
+        const nowEpoch = Math.floor(Date.now() / 1000);
+
+        container.innerHTML = `
+            <table class="compare-table">
+                <thead>
+                    <tr>
+                        <th scope="col"></th>
+                        ${results.map(() => `
+                            <th scope="col" class="compare-place">
+                                <span class="compare-place-name"></span>
+                                <span class="compare-place-detail"></span>
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <th scope="row">Local time</th>
+                        ${results.map(({ weatherData }) => `
+                            <td>${weatherData ? this.weatherService.formatLocationTime(nowEpoch, weatherData.location.utc_offset_seconds || 0, { weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: true }) : '—'}</td>
+                        `).join('')}
+                    </tr>
+                    <tr>
+                        <th scope="row">Conditions</th>
+                        ${results.map(({ weatherData }) => weatherData ? `
+                            <td class="compare-condition">
+                                <i class="${this.weatherService.getConditionIcon(weatherData.current.condition, { isDay: weatherData.current.is_day })}"></i>
+                                <span>${weatherData.current.condition.text}</span>
+                            </td>
+                        ` : '<td>Unavailable</td>').join('')}
+                    </tr>
+                    ${ComparisonController.CURRENT_ROWS.map(row => this.renderCurrentRow(row, results)).join('')}
+                    <tr class="compare-section-row">
+                        <th scope="rowgroup" colspan="${results.length + 1}">Daily high / low and chance of rain</th>
+                    </tr>
+                    ${this.renderDailyRows(results)}
+                </tbody>
+            </table>
+        `;
+
+        // Names may be user-entered favorite labels, so keep them out of innerHTML
+        container.querySelectorAll('.compare-place').forEach((cell, index) => {
+            const { place, weatherData } = results[index];
+            cell.querySelector('.compare-place-name').textContent = place.label || place.name;
+            cell.querySelector('.compare-place-detail').textContent = weatherData && weatherData.demo
+                ? 'Demo data'
+                : [place.state, place.country].filter(Boolean).join(', ');
+        });
+    }
+
+    /**
+     * One current-conditions row; the highest and lowest values are highlighted when they differ
+     */
+    renderCurrentRow(row, results) {
+        const values = results.map(({ weatherData }) => weatherData ? row.value(weatherData.current) : null);
+        const classes = this.getHighlightClasses(values);
+
+        return `
+            <tr>
+                <th scope="row">${row.label}</th>
+                ${values.map((value, index) => `
+                    <td class="${classes[index]}">${value === null || value === undefined ? '—' : row.format(this.units, value)}</td>
+                `).join('')}
+            </tr>
+        `;
+    }
+
+    /**
+     * Daily rows aligned by calendar date; each location uses its own local date
+     */
+    renderDailyRows(results) {
+        const daysByResult = results.map(({ weatherData }) => {
+            const days = new Map();
+            (weatherData?.forecast?.forecastday || [])
+                .filter(day => !day.unavailable)
+                .forEach(day => days.set(day.date, day));
+            return days;
+        });
+
+        const dates = [...new Set(daysByResult.flatMap(days => [...days.keys()]))]
+            .sort()
+            .slice(0, this.weatherService.forecastDays);
+
+        return dates.map(date => {
+            const days = daysByResult.map(dayMap => dayMap.get(date) || null);
+            const highClasses = this.getHighlightClasses(days.map(day => day ? day.day.maxtemp_c : null));
+            const lowClasses = this.getHighlightClasses(days.map(day => day ? day.day.mintemp_c : null));
+            const rainClasses = this.getHighlightClasses(days.map(day => day ? day.day.daily_chance_of_rain : null));
+            const dateLabel = new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric',
+                timeZone: 'UTC'
+            });
+
+            return `
+                <tr>
+                    <th scope="row">${dateLabel}</th>
+                    ${days.map((day, index) => day ? `
+                        <td class="compare-day">
+                            <span class="${highClasses[index]}">${this.units.formatTemperature(day.day.maxtemp_c)}</span>
+                            /
+                            <span class="${lowClasses[index]}">${this.units.formatTemperature(day.day.mintemp_c)}</span>
+                            <span class="compare-rain ${rainClasses[index]}"><i class="fas fa-tint"></i> ${Math.round(day.day.daily_chance_of_rain || 0)}%</span>
+                        </td>
+                    ` : '<td>—</td>').join('')}
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 'compare-max' / 'compare-min' for the extremes of a row, empty when all values match
+     */
+    getHighlightClasses(values) {
+        const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+        if (numbers.length < 2) {
+            return values.map(() => '');
+        }
+
+        const max = Math.max(...numbers);
+        const min = Math.min(...numbers);
+        if (max === min) {
+            return values.map(() => '');
+        }
+
+        return values.map(value => {
+            if (value === max) return 'compare-max';
+            if (value === min) return 'compare-min';
+            return '';
+        });
+    }
+}
+
+ComparisonController.MIN_PLACES = 2;
+ComparisonController.MAX_PLACES = 4;
+
+// value() reads the metric field used for highlighting; format() renders it in the selected units
+ComparisonController.CURRENT_ROWS = [
+    { label: 'Temperature', value: current => current.temp_c, format: (units, value) => units.formatTemperature(value) },
+    { label: 'Feels like', value: current => current.feelslike_c, format: (units, value) => units.formatTemperature(value) },
+    { label: 'Humidity', value: current => current.humidity, format: (units, value) => `${Math.round(value)}%` },
+    { label: 'Wind', value: current => current.wind_kph, format: (units, value) => units.formatWind(value) },
+    { label: 'Pressure', value: current => current.pressure_mb, format: (units, value) => units.formatPressure(value) },
+    { label: 'Visibility', value: current => current.vis_km, format: (units, value) => units.formatDistance(value) },
+    { label: 'UV index', value: current => current.uv, format: (units, value) => String(value) },
+    { label: 'Precipitation', value: current => current.precip_mm, format: (units, value) => units.formatPrecipitation(value) }
+];
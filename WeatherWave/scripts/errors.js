@@ -0,0 +1,92 @@
+/**
+ * Weather Errors
+ * Typed failures thrown by WeatherService and the providers, so the UI can say
+ * what went wrong and offer the right way forward. When the failed request was
+ * for a location with a cached forecast, `cachedData` holds that last known payload.
+ */
+
+class WeatherError extends Error {
+    constructor(message, { status = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.cachedData = null;
+    }
+}
+
+/**
+ * Any other unsuccessful HTTP status
+ */
+class ApiError extends WeatherError {
+    constructor(status) {
+        super(`API error: ${status}`, { status });
+    }
+}
+
+/**
+ * The provider refused the key the server holds (401/403)
+ */
+class InvalidApiKeyError extends WeatherError {
+    constructor(status) {
+        super('The weather service rejected the API key', { status });
+    }
+}
+
+/**
+ * Rate limited (429); `retryAfter` is in seconds when the server said
+ */
+class QuotaExceededError extends WeatherError {
+    constructor(retryAfter = null) {
+        super('Too many requests', { status: 429 });
+        this.retryAfter = retryAfter;
+    }
+}
+
+class CityNotFoundError extends WeatherError {
+    constructor(query) {
+        super(`No location found for ${query}`, { status: 404 });
+        this.query = query;
+    }
+}
+
+/**
+ * The request never got a response
+ */
+class NetworkError extends WeatherError {
+    constructor(message = 'Network error') {
+        super(message);
+    }
+}
+
+/**
+ * A network error while the browser reports no connection
+ */
+class OfflineError extends NetworkError {
+    constructor() {
+        super('You are offline');
+    }
+}
+
+class RequestTimeoutError extends WeatherError {
+    constructor() {
+        super('Request timed out');
+    }
+}
+
+/**
+ * A response that is not JSON, or lacks the fields the app needs
+ */
+class MalformedResponseError extends WeatherError {
+    constructor(message = 'Invalid weather data received from API') {
+        super(message);
+    }
+}
+
+/**
+ * The caller aborted the request; never shown and never a reason to retry or fail over
+ */
+class RequestCancelledError extends WeatherError {
+    constructor() {
+        super('Request cancelled');
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Favorite Locations
+ * Starred places with their coordinates, persisted in the order the user arranged them.
+ * Coordinates are kept so opening a favorite never re-geocodes to a different place.
+ * Fires a "change" event whenever the list is saved.
+ */
+
+class FavoriteLocations extends EventTarget {
+    constructor() {
+        super();
+        this.storageKey = 'weatherApp_favorites';
+        this.items = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(saved)
+                ? saved.filter(item => item && Number.isFinite(item.lat) && Number.isFinite(item.lon))
+                : [];
+        } catch (error) {
+            console.error('Error loading favorites:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.items));
+        } catch (error) {
+            console.error('Error saving favorites:', error);
+        }
+        this.dispatchEvent(new Event('change'));
+    }
+
+    getAll() {
+        return this.items;
+    }
+
+    /**
+     * Stable id from coordinates, at the same precision as the weather cache key
+     */
+    getId(lat, lon) {
+        return `${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}`;
+    }
+
+    get(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    has(lat, lon) {
+        return Boolean(this.get(this.getId(lat, lon)));
+    }
+
+    add(place) {
+        const id = this.getId(place.lat, place.lon);
+        if (this.get(id)) return this.get(id);
+
+        const favorite = {
+            id,
+            name: place.name,
+            state: place.state || '',
+            country: place.country || '',
+            lat: place.lat,
+            lon: place.lon,
+            label: place.label || ''
+        };
+        this.items.push(favorite);
+        this.save();
+        return favorite;
+    }
+
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+        this.save();
+    }
+
+    /**
+     * Set a custom label; an empty label falls back to the place name
+     */
+    rename(id, label) {
+        const favorite = this.get(id);
+        if (!favorite) return;
+        favorite.label = (label || '').trim();
+        this.save();
+    }
+
+    /**
+     * Move a favorite so it sits at the index of another one
+     */
+    move(id, targetId) {
+        const from = this.items.findIndex(item => item.id === id);
+        const to = this.items.findIndex(item => item.id === targetId);
+        if (from === -1 || to === -1 || from === to) return;
+
+        const [favorite] = this.items.splice(from, 1);
+        this.items.splice(to, 0, favorite);
+        this.save();
+    }
+
+    getDisplayName(favorite) {
+        return favorite.label || favorite.name;
+    }
+}
@@ -5,12 +5,30 @@
 
 class WeatherApp {
     constructor() {
-        this.weatherService = new WeatherService();
+        // One shared service, so its cache and provider health are not split
+        this.weatherService = window.weatherService;
         this.animationController = new AnimationController();
-        this.currentUnit = 'celsius';
+        this.units = new UnitSettings(this.weatherService);
+        this.favorites = new FavoriteLocations();
+        this.notifier = new WeatherNotifier(this.weatherService);
+        this.favoriteWeather = new Map();
+        this.draggedFavoriteId = null;
+        this.comparison = new ComparisonController(this.weatherService, this.units);
+        this.charts = new WeatherCharts(this.weatherService, this.units);
+        this.compareSelection = [];
+        this.compareExtras = [];
+        this.currentView = 'detail';
+        this.expandedForecastDate = null;
+        this.router = new AppRouter();
+        this.restoringRoute = false;
         this.currentTheme = localStorage.getItem('theme') || 'light';
+        this.showViewerTime = localStorage.getItem('showViewerTime') === 'true';
         this.searchTimeout = null;
+        this.searchController = null;
+        this.loadController = null;
+        this.rateLimitTimer = null;
         this.currentLocation = null;
+        this.weatherData = null;
         this.recentSearches = this.loadRecentSearches();
         
         this.init();
@@ -22,10 +40,17 @@ class WeatherApp {
     async init() {
         try {
             this.setupEventListeners();
+            this.setupWeatherUpdates();
             this.setupTheme();
+            this.setupUnitSettings();
+            this.setupFavorites();
+            this.setupComparison();
+            this.setupNotifications();
+            this.applyUnit();
             this.setupServiceWorker();
             await this.loadInitialData();
             this.hideLoadingScreen();
+            this.checkFavoriteNotifications();
         } catch (error) {
             console.error('Failed to initialize app:', error);
             this.showError('Failed to initialize the application. Please refresh the page.');
@@ -126,6 +151,9 @@ class WeatherApp {
         // Keyboard navigation
         document.addEventListener('keydown', (e) => this.handleGlobalKeydown(e));
 
+        // Browser back/forward
+        this.router.onNavigate((route) => this.restoreRoute(route));
+
         // Window resize handler
         window.addEventListener('resize', () => this.handleResize());
 
@@ -134,6 +162,33 @@ class WeatherApp {
         window.addEventListener('offline', () => this.handleOnlineStatus(false));
     }
 
+    /**
+     * Re-render when the weather service refreshes cached data in the background,
+     * and explain when requests are being rate limited
+     */
+    setupWeatherUpdates() {
+        this.weatherService.addEventListener('ratelimit', (e) => this.showRateLimitNotice(e.detail.retryAfter));
+
+        this.weatherService.addEventListener('weatherupdate', (e) => {
+            if (this.currentLocation && e.detail.key === this.currentLocation.cacheKey) {
+                this.updateUI(e.detail.data);
+            }
+
+            const favorite = this.favorites.getAll().find(item =>
+                this.weatherService.getCacheKey({ lat: item.lat, lon: item.lon }) === e.detail.key
+            );
+            if (favorite) {
+                this.favoriteWeather.set(favorite.id, e.detail.data);
+                this.updateFavoriteCard(favorite);
+                this.checkNotifications(favorite, e.detail.data);
+            }
+
+            if (this.comparison.updateCachedData(e.detail.key, e.detail.data) && this.currentView === 'compare') {
+                this.renderComparison();
+            }
+        });
+    }
+
     /**
      * Set up theme based on user preference or system preference
      */
@@ -160,6 +215,10 @@ class WeatherApp {
      */
     applyTheme() {
         document.documentElement.setAttribute('data-theme', this.currentTheme);
+        // Browser and installed-app chrome follow the chosen theme rather than the system one
+        document.querySelectorAll('meta[name="theme-color"]').forEach(meta => {
+            meta.setAttribute('content', WeatherApp.THEME_COLORS[this.currentTheme]);
+        });
         const themeIcon = document.querySelector('#themeToggle i');
         themeIcon.className = this.currentTheme === 'dark' ? 'fas fa-sun' : 'fas fa-moon';
         
@@ -197,23 +256,98 @@ class WeatherApp {
     }
 
     /**
-     * Load initial weather data
+     * Load initial weather data, restoring the location, units and view from the URL
      */
     async loadInitialData() {
-        // Check if API key is available
-        if (!this.weatherService.isValidApiKey()) {
-            this.showApiKeyRequired();
-            return;
+        const route = this.router.parse();
+
+        // The "Current location" shortcut wins over any location in the launch URL
+        if (route.locate) {
+            route.location = null;
+        }
+
+        // A link with a location sets the units it names for this session
+        if (route.location) {
+            this.units.useUnits(route.units);
+            this.applyUnit();
         }
 
-        // Try to get user's location first
         try {
-            await this.getCurrentLocation();
-        } catch (error) {
-            // Fallback to default location if geolocation fails
-            console.log('Geolocation failed, using default location');
-            await this.loadWeatherData('New York');
+            // Check if API key is available
+            if (!this.weatherService.isValidApiKey()) {
+                this.showApiKeyRequired();
+                return;
+            }
+
+            if (route.location) {
+                await this.loadPlace(route.location);
+            } else {
+                // Try to get user's location first
+                try {
+                    await this.getCurrentLocation();
+                } catch (error) {
+                    // Fall back to the last place the user looked at
+                    console.log('Geolocation failed, using last viewed location');
+                    await this.loadPlace(this.recentSearches[0] || { name: WeatherApp.DEFAULT_CITY });
+                }
+            }
+
+            this.showView(route.view);
+        } finally {
+            this.router.enableHistory();
+        }
+    }
+
+    /**
+     * Load a { name, lat?, lon? } place, by coordinates when it has them
+     */
+    async loadPlace(place) {
+        if (Number.isFinite(place.lat) && Number.isFinite(place.lon)) {
+            await this.loadWeatherDataByCoords(place.lat, place.lon, place);
+        } else {
+            await this.loadWeatherData(place.name);
+        }
+    }
+
+    /**
+     * Apply a route from back/forward navigation without pushing new history entries
+     */
+    async restoreRoute(route) {
+        this.restoringRoute = true;
+
+        try {
+            if (route.location) {
+                this.units.useUnits(route.units);
+                this.applyUnit();
+                if (this.weatherData) {
+                    this.renderUnitDependentSections(this.weatherData);
+                }
+
+                if (this.router.getLocationKey(route.location) !== this.router.getLocationKey(this.currentLocation)) {
+                    await this.loadPlace(route.location);
+                }
+            }
+
+            this.showView(route.view);
+        } finally {
+            this.restoringRoute = false;
+            this.updateRoute({ replace: true });
+        }
+    }
+
+    /**
+     * Mirror the location on screen, the active view and units in the URL
+     */
+    updateRoute(options = {}) {
+        if (this.restoringRoute || !this.currentLocation || this.weatherData?.demo) {
+            return;
         }
+
+        this.router.sync({
+            location: this.currentLocation,
+            view: this.currentView,
+            units: this.units.preferences
+        }, options);
     }
 
     /**
@@ -229,9 +363,18 @@ class WeatherApp {
             const locationBtn = document.getElementById('locationBtn');
             locationBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i>';
 
+            // Picking another place while the position is pending supersedes this lookup
+            const pending = this.startLocationLoad();
+
             navigator.geolocation.getCurrentPosition(
                 async (position) => {
                     try {
+                        if (pending.aborted) {
+                            locationBtn.innerHTML = '<i class="fas fa-location-crosshairs"></i>';
+                            resolve();
+                            return;
+                        }
+
                         const { latitude, longitude } = position.coords;
                         await this.loadWeatherDataByCoords(latitude, longitude);
                         locationBtn.innerHTML = '<i class="fas fa-location-crosshairs"></i>';
@@ -270,23 +413,41 @@ class WeatherApp {
     }
 
     /**
-     * Load weather data by coordinates
+     * Load weather data by coordinates; `place` carries the picked name, state and country
      */
-    async loadWeatherDataByCoords(lat, lon) {
+    async loadWeatherDataByCoords(lat, lon, place = null) {
+        const signal = this.startLocationLoad();
+
+        const show = async (weatherData) => {
+            this.currentLocation = {
+                lat,
+                lon,
+                name: place?.name || weatherData.location.name,
+                state: place?.state || weatherData.location.region || '',
+                country: place?.country || weatherData.location.country || '',
+                cacheKey: this.weatherService.getCacheKey({ lat, lon })
+            };
+            await this.updateUI(weatherData);
+        };
+
         try {
             this.showLoadingScreen();
-            const weatherData = await this.weatherService.getWeatherByCoords(lat, lon);
-            this.currentLocation = { lat, lon, name: weatherData.location.name };
-            await this.updateUI(weatherData);
+            const weatherData = await this.weatherService.getWeatherByCoords(lat, lon, { place, signal });
+            if (signal.aborted) return;
+            await show(weatherData);
         } catch (error) {
+            if (error instanceof RequestCancelledError) return;
             console.error('Failed to load weather data by coordinates:', error);
-            if (error.message === 'API_KEY_REQUIRED') {
-                this.showApiKeyRequired();
-            } else {
-                this.showError('Failed to load weather data for your location.');
-            }
+            this.showError(error, {
+                message: 'Failed to load weather data for this location.',
+                retry: () => this.loadWeatherDataByCoords(lat, lon, place),
+                viewCached: show
+            });
         } finally {
-            this.hideLoadingScreen();
+            // A newer load owns the loading screen
+            if (!signal.aborted) {
+                this.hideLoadingScreen();
+            }
         }
     }
 
@@ -294,21 +455,51 @@ class WeatherApp {
      * Load weather data by city name
      */
     async loadWeatherData(city) {
+        const signal = this.startLocationLoad();
+
+        const show = async (weatherData) => {
+            this.currentLocation = {
+                lat: weatherData.location.lat,
+                lon: weatherData.location.lon,
+                name: weatherData.location.name,
+                state: weatherData.location.region || '',
+                country: weatherData.location.country || '',
+                cacheKey: this.weatherService.getCacheKey({ city })
+            };
+            await this.updateUI(weatherData);
+        };
+
         try {
             this.showLoadingScreen();
-            const weatherData = await this.weatherService.getWeatherByCity(city);
-            this.currentLocation = { name: weatherData.location.name };
-            await this.updateUI(weatherData);
+            const weatherData = await this.weatherService.getWeatherByCity(city, { signal });
+            if (signal.aborted) return;
+            await show(weatherData);
         } catch (error) {
+            if (error instanceof RequestCancelledError) return;
             console.error('Failed to load weather data:', error);
-            if (error.message === 'API_KEY_REQUIRED') {
-                this.showApiKeyRequired();
-            } else {
-                this.showError(`Failed to load weather data for ${city}. Please try another location.`);
-            }
+            this.showError(error, {
+                message: `Failed to load weather data for ${city}. Please try another location.`,
+                retry: () => this.loadWeatherData(city),
+                viewCached: show
+            });
         } finally {
-            this.hideLoadingScreen();
+            if (!signal.aborted) {
+                this.hideLoadingScreen();
+            }
+        }
+    }
+
+    /**
+     * Cancel the location load in flight, and any pending search, before switching
+     * location, so a slower earlier response can never replace the newer one
+     */
+    startLocationLoad() {
+        this.cancelSearch();
+        if (this.loadController) {
+            this.loadController.abort();
         }
+        this.loadController = new AbortController();
+        return this.loadController.signal;
     }
 
     /**
@@ -322,15 +513,15 @@ class WeatherApp {
         await this.updateUI(demoData);
         
         // Show API key requirement notice
-        this.showError(`To access live weather data, you need a RapidAPI key for WeatherAPI.com. 
+        const { name: providerName, keyVariable } = this.weatherService.provider;
+        this.showError(`To access live weather data, you need an API key for ${providerName}. 
         
         Currently showing demo data for demonstration purposes. 
         
         To get live data:
-        1. Sign up at rapidapi.com
-        2. Subscribe to WeatherAPI
-        3. Get your API key
-        4. Click 'Try Again' and enter your key when prompted`);
+        1. Sign up with ${providerName}
+        2. Get your API key
+        3. Set ${keyVariable} where server.js runs and restart it, or set WEATHER_PROVIDER to 'open-meteo' which needs no key`);
     }
 
     /**
@@ -338,11 +529,22 @@ class WeatherApp {
      */
     async updateUI(weatherData) {
         try {
+            // Keep the latest payload so unit changes can re-render without refetching
+            this.weatherData = weatherData;
+            
+            // Flag demo data so it is never mistaken for real conditions
+            this.updateDemoBanner(weatherData.demo);
+            this.updateOfflineBanner();
+            this.updateAlerts(weatherData);
+            this.updateFavoriteButton();
+            this.updateRoute();
+            
             // Update current weather
             this.updateCurrentWeather(weatherData.current);
             
             // Update location and date
             this.updateLocationAndDate(weatherData.location);
+            this.updateLastUpdated(weatherData);
             
             // Update weather details
             this.updateWeatherDetails(weatherData.current);
@@ -374,31 +576,222 @@ class WeatherApp {
         }
     }
 
+    /**
+     * Show or hide the demo data banner
+     */
+    updateDemoBanner(isDemo) {
+        const demoBanner = document.getElementById('demoBanner');
+        demoBanner.classList.toggle('hidden', !isDemo);
+    }
+
+    /**
+     * Explain when the forecast on screen is the last known one rather than live
+     */
+    updateOfflineBanner() {
+        const banner = document.getElementById('offlineBanner');
+        const weatherData = this.weatherData;
+        const isOffline = !navigator.onLine;
+
+        if (!isOffline && !(weatherData && weatherData.stale)) {
+            banner.classList.add('hidden');
+            return;
+        }
+
+        let message = isOffline ? 'You are offline.' : 'Live weather is unavailable right now.';
+        if (weatherData && !weatherData.demo) {
+            message += ` Showing the last known forecast from ${this.formatLastUpdated(weatherData)}.`;
+        }
+        document.getElementById('offlineMessage').textContent = message;
+        banner.classList.remove('hidden');
+    }
+
+    /**
+     * Friendly notice instead of an error when the weather service asks us to slow down;
+     * hides itself once requests are accepted again
+     */
+    showRateLimitNotice(retryAfter) {
+        const seconds = retryAfter || WeatherApp.RATE_LIMIT_NOTICE_SECONDS;
+        const wait = seconds >= 90 ? `${Math.ceil(seconds / 60)} minutes` : `${seconds} seconds`;
+
+        document.getElementById('rateLimitMessage').textContent =
+            `Weather updates are paused for a moment to stay within the weather service's limits. ` +
+            `Try again in about ${wait}.`;
+        document.getElementById('rateLimitBanner').classList.remove('hidden');
+
+        clearTimeout(this.rateLimitTimer);
+        this.rateLimitTimer = setTimeout(() => {
+            document.getElementById('rateLimitBanner').classList.add('hidden');
+        }, seconds * 1000);
+    }
+
+    updateLastUpdated(weatherData) {
+        document.getElementById('lastUpdated').textContent = weatherData.demo
+            ? ''
+            : `Updated ${this.formatLastUpdated(weatherData)}`;
+    }
+
+    /**
+     * When the data was fetched (known for cached payloads), otherwise when it was observed
+     */
+    formatLastUpdated(weatherData) {
+        const epoch = weatherData.fetched_at
+            ? Math.floor(weatherData.fetched_at / 1000)
+            : weatherData.current.last_updated_epoch;
+        return this.weatherService.formatLocationTime(epoch, this.getLocationUtcOffset(), {
+            weekday: 'short',
+            hour: 'numeric',
+            minute: '2-digit',
+            hour12: true
+        });
+    }
+
+    /**
+     * Show active, undismissed alerts for the location, most severe first
+     */
+    updateAlerts(weatherData) {
+        const banner = document.getElementById('alertsBanner');
+        const alertService = this.weatherService.alerts;
+        const alerts = alertService.filterActive(weatherData.alerts).filter(alert => !alertService.isDismissed(alert));
+
+        banner.innerHTML = '';
+        banner.classList.toggle('hidden', alerts.length === 0);
+
+        alerts.forEach(alert => {
+            banner.appendChild(this.createAlertItem(alert, weatherData.location.utc_offset_seconds || 0));
+        });
+    }
+
+    createAlertItem(alert, utcOffset) {
+        const timeOptions = { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true };
+        const bodyId = `alert-${Math.random().toString(36).slice(2, 10)}`;
+
+        const item = document.createElement('article');
+        item.className = `weather-alert severity-${alert.severity}`;
+        item.innerHTML = `
+            <div class="weather-alert-summary">
+                <i class="fas fa-triangle-exclamation weather-alert-icon"></i>
+                <div class="weather-alert-title">
+                    <strong class="weather-alert-event"></strong>
+                    <span class="weather-alert-headline"></span>
+                </div>
+                <button class="weather-alert-toggle" type="button" aria-expanded="false" aria-controls="${bodyId}">Details</button>
+                <button class="weather-alert-dismiss" type="button" aria-label="Dismiss alert">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="weather-alert-body hidden" id="${bodyId}">
+                <dl class="weather-alert-meta">
+                    <div><dt>From</dt><dd>${alert.start ? this.weatherService.formatLocationTime(alert.start, utcOffset, timeOptions) : 'Now'}</dd></div>
+                    <div><dt>Until</dt><dd>${alert.end ? this.weatherService.formatLocationTime(alert.end, utcOffset, timeOptions) : 'Further notice'}</dd></div>
+                    <div><dt>Issued by</dt><dd class="weather-alert-sender"></dd></div>
+                    <div class="weather-alert-areas-row"><dt>Areas</dt><dd class="weather-alert-areas"></dd></div>
+                </dl>
+                <p class="weather-alert-text"></p>
+                <p class="weather-alert-instruction"></p>
+            </div>
+        `;
+
+        // Alert text comes from external feeds, so keep it out of innerHTML
+        item.querySelector('.weather-alert-event').textContent = alert.event;
+        item.querySelector('.weather-alert-headline').textContent = alert.headline !== alert.event ? alert.headline : '';
+        item.querySelector('.weather-alert-sender').textContent = alert.sender || WeatherService.SOURCE_NAMES[alert.source] || 'Unknown';
+        item.querySelector('.weather-alert-areas').textContent = alert.areas;
+        item.querySelector('.weather-alert-areas-row').classList.toggle('hidden', !alert.areas);
+        item.querySelector('.weather-alert-text').textContent = alert.description;
+        item.querySelector('.weather-alert-instruction').textContent = alert.instruction;
+        item.querySelector('.weather-alert-instruction').classList.toggle('hidden', !alert.instruction);
+
+        const toggle = item.querySelector('.weather-alert-toggle');
+        toggle.addEventListener('click', () => {
+            const isExpanded = toggle.getAttribute('aria-expanded') === 'true';
+            toggle.setAttribute('aria-expanded', String(!isExpanded));
+            toggle.textContent = isExpanded ? 'Details' : 'Hide';
+            item.querySelector('.weather-alert-body').classList.toggle('hidden', isExpanded);
+        });
+
+        item.querySelector('.weather-alert-dismiss').addEventListener('click', () => {
+            this.weatherService.alerts.dismiss(alert);
+            item.remove();
+            const banner = document.getElementById('alertsBanner');
+            banner.classList.toggle('hidden', banner.children.length === 0);
+        });
+
+        return item;
+    }
+
     /**
      * Update current weather display
      */
     updateCurrentWeather(current) {
-        const temp = this.currentUnit === 'celsius' ? current.temp_c : current.temp_f;
-        const feelsLike = this.currentUnit === 'celsius' ? current.feelslike_c : current.feelslike_f;
-        const unit = this.currentUnit === 'celsius' ? '°C' : '°F';
-
-        document.getElementById('currentTemp').textContent = `${Math.round(temp)}°`;
+        document.getElementById('currentTemp').textContent = this.units.formatTemperature(current.temp_c);
         document.getElementById('weatherCondition').textContent = current.condition.text;
-        document.getElementById('feelsLike').textContent = `Feels like ${Math.round(feelsLike)}°`;
+        document.getElementById('feelsLike').textContent = `Feels like ${this.units.formatTemperature(current.feelslike_c)}`;
         
         // Update weather icon
         const iconElement = document.getElementById('mainWeatherIcon');
-        const iconClass = this.weatherService.getWeatherIcon(current.condition.text);
+        const iconClass = this.weatherService.getConditionIcon(current.condition, { isDay: current.is_day });
         iconElement.innerHTML = `<i class="${iconClass}"></i>`;
     }
 
     /**
-     * Update location and date display
+     * UTC offset (seconds) of the location currently on screen
+     */
+    getLocationUtcOffset() {
+        const location = this.weatherData ? this.weatherData.location : null;
+        return location && location.utc_offset_seconds !== undefined
+            ? location.utc_offset_seconds
+            : this.weatherService.getViewerUtcOffset();
+    }
+
+    /**
+     * Whether to show the viewer's own clock next to the location's
+     */
+    shouldShowViewerTime() {
+        return this.showViewerTime && this.getLocationUtcOffset() !== this.weatherService.getViewerUtcOffset();
+    }
+
+    /**
+     * Format an epoch in the viewer's own time zone
+     */
+    formatViewerTime(epoch, options) {
+        return new Date(epoch * 1000).toLocaleTimeString('en-US', options);
+    }
+
+    /**
+     * Re-render every section that displays clock times
+     */
+    renderTimeDependentSections(weatherData) {
+        this.updateLocationAndDate(weatherData.location);
+        
+        if (weatherData.forecast && weatherData.forecast.forecastday && weatherData.forecast.forecastday[0]) {
+            this.updateSunTimes(weatherData.forecast.forecastday[0].astro);
+        }
+        
+        if (weatherData.hourly && weatherData.hourly.length > 0) {
+            this.updateHourlyForecast(weatherData.hourly);
+        }
+    }
+
+    /**
+     * Update location and date display: the place, its state and country, and the
+     * weather station the observations come from when it is named differently
      */
     updateLocationAndDate(location) {
         document.getElementById('currentLocation').textContent = location.name;
+
+        const region = [location.region, this.formatCountry(location.country)]
+            .filter(part => part && part !== location.name)
+            .join(', ');
+        const regionElement = document.getElementById('locationRegion');
+        regionElement.textContent = region;
+        regionElement.classList.toggle('hidden', !region);
+
+        const station = location.station && location.station !== location.name ? location.station : '';
+        const stationElement = document.getElementById('locationStation');
+        stationElement.textContent = station ? `Station: ${station}` : '';
+        stationElement.classList.toggle('hidden', !station);
         
-        const now = new Date();
+        const now = Math.floor(Date.now() / 1000);
         const options = { 
             weekday: 'long', 
             year: 'numeric', 
@@ -408,28 +801,86 @@ class WeatherApp {
             minute: '2-digit'
         };
         
-        document.getElementById('currentDate').textContent = now.toLocaleDateString('en-US', options);
+        let dateText = this.weatherService.formatLocationTime(now, this.getLocationUtcOffset(), options);
+        if (this.shouldShowViewerTime()) {
+            dateText += ` · Your time ${this.formatViewerTime(now, { hour: '2-digit', minute: '2-digit' })}`;
+        }
+        
+        document.getElementById('currentDate').textContent = dateText;
+    }
+
+    /**
+     * Full country name for an ISO 3166 code ("US" -> "United States"); names pass through
+     */
+    formatCountry(country) {
+        if (!/^[A-Z]{2}$/.test(country || '') || typeof Intl.DisplayNames !== 'function') {
+            return country || '';
+        }
+
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'region' }).of(country) || country;
+        } catch (error) {
+            return country;
+        }
     }
 
     /**
      * Update weather details
      */
     updateWeatherDetails(current) {
-        const windSpeed = this.currentUnit === 'celsius' ? current.wind_kph : current.wind_mph;
-        const windUnit = this.currentUnit === 'celsius' ? 'km/h' : 'mph';
-        const visibility = this.currentUnit === 'celsius' ? current.vis_km : current.vis_miles;
-        const visUnit = this.currentUnit === 'celsius' ? 'km' : 'mi';
-        const pressure = this.currentUnit === 'celsius' ? current.pressure_mb : current.pressure_in;
-        const pressureUnit = this.currentUnit === 'celsius' ? 'hPa' : 'inHg';
-
-        document.getElementById('windSpeed').textContent = `${windSpeed} ${windUnit}`;
+        document.getElementById('windSpeed').textContent = this.units.formatWind(current.wind_kph);
         document.getElementById('humidity').textContent = `${current.humidity}%`;
-        document.getElementById('visibility').textContent = `${visibility} ${visUnit}`;
-        document.getElementById('pressure').textContent = `${pressure} ${pressureUnit}`;
-        document.getElementById('uvIndex').textContent = current.uv;
+        document.getElementById('visibility').textContent = this.units.formatDistance(current.vis_km);
+        document.getElementById('pressure').textContent = this.units.formatPressure(current.pressure_mb);
+        const uvElement = document.getElementById('uvIndex');
+        uvElement.textContent = current.uv_source === 'estimated' ? `${current.uv} (est.)` : current.uv;
+        uvElement.title = current.uv_source === 'estimated' ? 'Estimated from sun elevation and cloud cover' : '';
         
-        // Display calculated air quality
-        document.getElementById('airQuality').textContent = current.air_quality || 'Good';
+        this.updateAirQuality(current.air_quality);
+    }
+
+    /**
+     * Update air quality card with the index and pollutant breakdown
+     */
+    updateAirQuality(airQuality) {
+        const valueElement = document.getElementById('airQuality');
+        const breakdown = document.getElementById('airQualityBreakdown');
+
+        if (!airQuality) {
+            valueElement.textContent = '--';
+            breakdown.innerHTML = '';
+            return;
+        }
+
+        const indexText = airQuality.index ? ` (${airQuality.index}/${airQuality.max_index})` : '';
+        valueElement.textContent = `${airQuality.label}${indexText}`;
+
+        // The heuristic is only a rough guess, so never present it as a measurement
+        if (airQuality.source !== 'measured' || !airQuality.components) {
+            breakdown.innerHTML = '<span class="aqi-estimate-note"><i class="fas fa-circle-info"></i> Estimated from weather, not measured</span>';
+            return;
+        }
+
+        const pollutants = [
+            ['pm2_5', 'PM2.5'],
+            ['pm10', 'PM10'],
+            ['o3', 'O₃'],
+            ['no2', 'NO₂'],
+            ['so2', 'SO₂'],
+            ['co', 'CO']
+        ];
+
+        breakdown.innerHTML = `
+            ${pollutants
+                .filter(([key]) => airQuality.components[key] !== undefined && airQuality.components[key] !== null)
+                .map(([key, label]) => `
+                    <span class="pollutant">
+                        <span class="pollutant-name">${label}</span>
+                        <span class="pollutant-value">${Math.round(airQuality.components[key] * 10) / 10}</span>
+                    </span>
+                `).join('')}
+            <span class="pollutant-unit">µg/m³ · ${airQuality.scale}</span>
+        `;
     }
 
     /**
@@ -439,9 +890,58 @@ class WeatherApp {
         if (astro) {
             document.getElementById('sunrise').textContent = astro.sunrise || '06:00 AM';
             document.getElementById('sunset').textContent = astro.sunset || '06:00 PM';
+            
+            // Optionally show the same moments on the viewer's clock
+            const showViewerTime = this.shouldShowViewerTime();
+            const options = { hour: '2-digit', minute: '2-digit', hour12: true };
+            ['sunrise', 'sunset'].forEach(event => {
+                const viewerElement = document.getElementById(`${event}Viewer`);
+                const epoch = astro[`${event}_epoch`];
+                viewerElement.textContent = showViewerTime && epoch ? `Your time ${this.formatViewerTime(epoch, options)}` : '';
+                viewerElement.classList.toggle('hidden', !(showViewerTime && epoch));
+            });
+
+            this.updateAstroDetails(astro);
         }
     }
 
+    /**
+     * Update solar noon, twilight, golden/blue hour and moon details
+     */
+    updateAstroDetails(astro) {
+        const utcOffset = this.getLocationUtcOffset();
+        const formatTime = epoch => epoch ? this.weatherService.formatAstroTime(epoch, utcOffset) : '—';
+        const formatRange = range => range && (range.start || range.end)
+            ? `${formatTime(range.start)} – ${formatTime(range.end)}`
+            : '—';
+        const twilight = astro.twilight || {};
+
+        document.getElementById('solarNoon').textContent = astro.solar_noon || '--:--';
+        document.getElementById('dayLength').textContent = astro.day_length !== undefined
+            ? this.weatherService.formatDayLength(astro.day_length)
+            : '--';
+        document.getElementById('goldenHour').textContent = astro.golden_hour
+            ? `${formatRange(astro.golden_hour.morning)}, ${formatRange(astro.golden_hour.evening)}`
+            : '--';
+        document.getElementById('blueHour').textContent = astro.blue_hour
+            ? `${formatRange(astro.blue_hour.morning)}, ${formatRange(astro.blue_hour.evening)}`
+            : '--';
+
+        ['civil', 'nautical', 'astronomical'].forEach(kind => {
+            const range = twilight[kind];
+            document.getElementById(`${kind}Twilight`).textContent = range
+                ? formatRange({ start: range.dawn, end: range.dusk })
+                : '--';
+        });
+
+        document.getElementById('moonrise').textContent = astro.moonrise || '--:--';
+        document.getElementById('moonset').textContent = astro.moonset || '--:--';
+        document.getElementById('moonPhase').textContent = astro.moon_phase || '--';
+        document.getElementById('moonIllumination').textContent = astro.moon_illumination !== undefined
+            ? `${astro.moon_illumination}%`
+            : '--';
+    }
+
     /**
      * Update hourly forecast
      */
@@ -449,30 +949,30 @@ class WeatherApp {
         const hourlySlider = document.getElementById('hourlySlider');
         hourlySlider.innerHTML = '';
 
-        // Show all 24 hours of data
-        const hoursToShow = hourlyData.slice(0, 24);
-
-        hoursToShow.forEach((hour, index) => {
+        hourlyData.forEach((hour, index) => {
             const hourElement = this.createHourlyItem(hour, index === 0);
             hourlySlider.appendChild(hourElement);
         });
+
+        this.charts.renderHourly(document.getElementById('hourlyChart'), hourlyData, this.getLocationUtcOffset());
     }
 
     /**
      * Create hourly forecast item
      */
     createHourlyItem(hourData, isCurrent = false) {
-        const temp = this.currentUnit === 'celsius' ? hourData.temp_c : hourData.temp_f;
-        const time = new Date(hourData.time * 1000);
-        const timeString = isCurrent ? 'Now' : time.toLocaleTimeString('en-US', { 
-            hour: 'numeric', 
-            hour12: true 
-        });
+        const timeOptions = { hour: 'numeric', hour12: true };
+        const timeString = isCurrent
+            ? 'Now'
+            : this.weatherService.formatLocationTime(hourData.time, this.getLocationUtcOffset(), timeOptions);
+        const viewerTimeHtml = this.shouldShowViewerTime()
+            ? `<div class="hourly-viewer-time">${this.formatViewerTime(hourData.time, timeOptions)} yours</div>`
+            : '';
 
         const hourlyItem = document.createElement('div');
         hourlyItem.className = `hourly-item ${isCurrent ? 'current-hour' : ''}`;
         
-        const iconClass = this.weatherService.getWeatherIcon(hourData.condition.text);
+        const iconClass = this.weatherService.getConditionIcon(hourData.condition, this.weatherService.getDaylight(this.weatherData, hourData.time));
         
         // Add rain chance if available
         const rainChance = hourData.chance_of_rain || 0;
@@ -480,9 +980,11 @@ class WeatherApp {
         
         hourlyItem.innerHTML = `
             <div class="hourly-time">${timeString}</div>
+            ${viewerTimeHtml}
             <div class="hourly-icon"><i class="${iconClass}"></i></div>
-            <div class="hourly-temp">${Math.round(temp)}°</div>
+            <div class="hourly-temp">${this.units.formatTemperature(hourData.temp_c)}</div>
             <div class="hourly-desc">${hourData.condition.text}${rainChanceText}</div>
+            <div class="hourly-uv"><i class="fas fa-sun"></i> UV ${hourData.uv ?? 0}</div>
         `;
 
         return hourlyItem;
@@ -494,31 +996,183 @@ class WeatherApp {
     updateDailyForecast(forecastData) {
         const forecastGrid = document.getElementById('forecastGrid');
         forecastGrid.innerHTML = '';
+        document.getElementById('forecastTitle').textContent = `${forecastData.length}-Day Forecast`;
 
         forecastData.forEach((day, index) => {
             const forecastCard = this.createForecastCard(day, index === 0);
             forecastGrid.appendChild(forecastCard);
         });
+
+        // Re-render the open day (units or data changed); close it when that day is gone
+        const expandedDay = forecastData.find(day => day.date === this.expandedForecastDate && !day.unavailable);
+        if (expandedDay) {
+            this.renderForecastDetail(expandedDay);
+        } else {
+            this.closeForecastDetail();
+        }
+
+        this.charts.renderDaily(document.getElementById('dailyChart'), forecastData);
+    }
+
+    /**
+     * Expand a day into the detail panel, or collapse it when it is already open
+     */
+    toggleForecastDetail(dayData) {
+        if (this.expandedForecastDate === dayData.date) {
+            this.closeForecastDetail();
+            return;
+        }
+
+        this.expandedForecastDate = dayData.date;
+        this.renderForecastDetail(dayData);
+        document.getElementById('forecastDetail').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    closeForecastDetail() {
+        this.expandedForecastDate = null;
+        document.getElementById('forecastDetail').classList.add('hidden');
+        this.updateForecastCardState();
+    }
+
+    updateForecastCardState() {
+        document.querySelectorAll('#forecastGrid .forecast-card[data-date]').forEach(card => {
+            const isExpanded = card.dataset.date === this.expandedForecastDate;
+            card.classList.toggle('expanded', isExpanded);
+            card.setAttribute('aria-expanded', String(isExpanded));
+        });
+    }
+
+    /**
+     * Day summary plus an hour-by-hour (or 3-hourly, depending on the provider) breakdown
+     */
+    renderForecastDetail(dayData) {
+        const panel = document.getElementById('forecastDetail');
+        const utcOffset = this.getLocationUtcOffset();
+        const hours = dayData.hour || [];
+        const date = new Date(`${dayData.date}T00:00:00Z`);
+        const dateString = date.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', timeZone: 'UTC' });
+
+        const feelsLike = hours.map(hour => hour.feelslike_c).filter(Number.isFinite);
+        const humidity = hours.map(hour => hour.humidity).filter(Number.isFinite);
+        const pressures = hours.map(hour => hour.pressure_mb).filter(Number.isFinite);
+        const gusts = hours.map(hour => hour.gust_kph).filter(Number.isFinite);
+
+        const feelsLikeText = feelsLike.length > 0
+            ? `${this.units.formatTemperature(Math.min(...feelsLike))} – ${this.units.formatTemperature(Math.max(...feelsLike))}`
+            : '--';
+        const humidityText = humidity.length > 0
+            ? `${Math.round(humidity.reduce((sum, value) => sum + value, 0) / humidity.length)}%`
+            : '--';
+        const gustText = gusts.length > 0 ? this.units.formatWind(Math.max(...gusts)) : '--';
+        const periodHours = hours.length > 0 ? hours[0].period_hours || 1 : 1;
+
+        const stats = [
+            { icon: 'fa-thermometer-half', label: 'Feels like', value: feelsLikeText },
+            { icon: 'fa-tint', label: 'Humidity', value: humidityText },
+            { icon: 'fa-tachometer-alt', label: 'Pressure', value: this.getPressureTrendText(pressures) },
+            { icon: 'fa-wind', label: 'Max gust', value: gustText },
+            { icon: 'fa-umbrella', label: 'Precipitation', value: this.units.formatPrecipitation(dayData.day.totalprecip_mm || 0) },
+            { icon: 'fa-sun', label: 'UV index', value: String(dayData.day.uv ?? '--') },
+            { icon: 'fa-arrow-up', label: 'Sunrise', value: dayData.astro ? dayData.astro.sunrise : '--:--' },
+            { icon: 'fa-arrow-down', label: 'Sunset', value: dayData.astro ? dayData.astro.sunset : '--:--' },
+            { icon: 'fa-database', label: 'Source', value: this.formatForecastSource(dayData) }
+        ];
+
+        const hourRows = hours.length > 0
+            ? hours.map(hour => `
+                <div class="forecast-hour" role="listitem">
+                    <span class="forecast-hour-time">${this.weatherService.formatLocationTime(hour.time, utcOffset, { hour: 'numeric', minute: '2-digit', hour12: true })}</span>
+                    <span class="forecast-hour-icon"><i class="${this.weatherService.getConditionIcon(hour.condition, this.weatherService.getDaylight(this.weatherData, hour.time))}"></i></span>
+                    <span class="forecast-hour-temp">${this.units.formatTemperature(hour.temp_c)}</span>
+                    <span class="forecast-hour-desc">${hour.condition.text}</span>
+                    <span class="forecast-hour-rain"><i class="fas fa-tint"></i> ${Math.round(hour.chance_of_rain || 0)}%</span>
+                    <span class="forecast-hour-wind"><i class="fas fa-wind"></i> ${this.units.formatWind(hour.wind_kph)} ${hour.wind_dir || ''}</span>
+                </div>
+            `).join('')
+            : '<p class="forecast-detail-empty">No hourly breakdown is available for this day.</p>';
+
+        panel.innerHTML = `
+            <div class="forecast-detail-header">
+                <h3>${dateString}</h3>
+                <button class="forecast-detail-close" type="button" aria-label="Close day details">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <div class="forecast-detail-stats">
+                ${stats.map(stat => `
+                    <div class="forecast-detail-stat">
+                        <i class="fas ${stat.icon}"></i>
+                        <span class="forecast-detail-label">${stat.label}</span>
+                        <span class="forecast-detail-value">${stat.value}</span>
+                    </div>
+                `).join('')}
+            </div>
+            ${hours.length > 0 ? `<h4 class="forecast-detail-subtitle">${periodHours > 1 ? `Every ${periodHours} hours` : 'Hour by hour'}</h4>` : ''}
+            <div class="forecast-hours" role="list">${hourRows}</div>
+        `;
+
+        panel.querySelector('.forecast-detail-close').addEventListener('click', () => this.closeForecastDetail());
+        panel.classList.remove('hidden');
+        this.updateForecastCardState();
+    }
+
+    /**
+     * Pressure change between the first and last hour of the day, in the selected units
+     */
+    getPressureTrendText(pressures) {
+        if (pressures.length === 0) return '--';
+
+        const first = pressures[0];
+        const last = pressures[pressures.length - 1];
+        const change = last - first;
+        const trend = Math.abs(change) < 1 ? 'Steady' : change > 0 ? 'Rising' : 'Falling';
+        return `${this.units.formatPressure(last)} · ${trend}`;
+    }
+
+    /**
+     * Data source and confidence of a forecast day, e.g. "Open-Meteo · Medium confidence"
+     */
+    formatForecastSource(dayData) {
+        const source = WeatherService.SOURCE_NAMES[dayData.source] || 'Unknown source';
+        const confidence = dayData.confidence || 'unknown';
+        return `${source} · ${confidence.charAt(0).toUpperCase()}${confidence.slice(1)} confidence`;
     }
 
     /**
      * Create daily forecast card
      */
     createForecastCard(dayData, isToday = false) {
-        const date = new Date(dayData.date);
-        const dayName = isToday ? 'Today' : date.toLocaleDateString('en-US', { weekday: 'short' });
-        const dateString = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-        
-        const highTemp = this.currentUnit === 'celsius' ? dayData.day.maxtemp_c : dayData.day.maxtemp_f;
-        const lowTemp = this.currentUnit === 'celsius' ? dayData.day.mintemp_c : dayData.day.mintemp_f;
-        const windSpeed = this.currentUnit === 'celsius' ? dayData.day.maxwind_kph : dayData.day.maxwind_mph;
-        const windUnit = this.currentUnit === 'celsius' ? 'km/h' : 'mph';
+        // dayData.date is the location's calendar date, so format it without shifting zones
+        const date = new Date(`${dayData.date}T00:00:00Z`);
+        const dayName = isToday ? 'Today' : date.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+        const dateString = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+        if (dayData.unavailable) {
+            return this.createUnavailableForecastCard(dayName, dateString);
+        }
         
-        const iconClass = this.weatherService.getWeatherIcon(dayData.day.condition.text);
+        // A day is summed up by its icon at local noon, so polar night shows the moon
+        const utcOffset = this.getLocationUtcOffset();
+        const noon = this.weatherService.getLocationNoon(dayData.date, utcOffset);
+        const iconClass = this.weatherService.getConditionIcon(dayData.day.condition, this.weatherService.getDaylight(this.weatherData, noon));
 
         const forecastCard = document.createElement('div');
         forecastCard.className = 'forecast-card fade-in';
         forecastCard.style.animationDelay = `${Math.random() * 0.5}s`;
+        forecastCard.dataset.date = dayData.date;
+        forecastCard.tabIndex = 0;
+        forecastCard.setAttribute('role', 'button');
+        forecastCard.setAttribute('aria-controls', 'forecastDetail');
+        forecastCard.setAttribute('aria-expanded', String(dayData.date === this.expandedForecastDate));
+        forecastCard.classList.toggle('expanded', dayData.date === this.expandedForecastDate);
+
+        forecastCard.addEventListener('click', () => this.toggleForecastDetail(dayData));
+        forecastCard.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.toggleForecastDetail(dayData);
+            }
+        });
 
         // Format rain chance display
         const rainChance = dayData.day.daily_chance_of_rain || 0;
@@ -534,15 +1188,42 @@ class WeatherApp {
             <div class="forecast-main">
                 <div class="forecast-icon"><i class="${iconClass}"></i></div>
                 <div class="forecast-temps">
-                    <div class="forecast-high">${Math.round(highTemp)}°</div>
-                    <div class="forecast-low">${Math.round(lowTemp)}°</div>
+                    <div class="forecast-high">${this.units.formatTemperature(dayData.day.maxtemp_c)}</div>
+                    <div class="forecast-low">${this.units.formatTemperature(dayData.day.mintemp_c)}</div>
                 </div>
             </div>
             <div class="forecast-condition">${dayData.day.condition.text}</div>
             <div class="forecast-details">
                 <span class="rain-chance-indicator"><i class="fas fa-tint"></i> ${rainChanceText}</span>
-                <span><i class="fas fa-wind"></i> ${Math.round(windSpeed)} ${windUnit}</span>
+                <span><i class="fas fa-wind"></i> ${this.units.formatWind(dayData.day.maxwind_kph)}</span>
+                <span><i class="fas fa-umbrella"></i> ${this.units.formatPrecipitation(dayData.day.totalprecip_mm || 0)}</span>
+            </div>
+            <div class="forecast-confidence confidence-${dayData.confidence || 'unknown'}" title="${this.formatForecastSource(dayData)}">
+                ${dayData.confidence ? `${dayData.confidence} confidence` : ''}
+            </div>
+        `;
+
+        return forecastCard;
+    }
+
+    /**
+     * Card for a day beyond the provider's range; shown rather than made up
+     */
+    createUnavailableForecastCard(dayName, dateString) {
+        const forecastCard = document.createElement('div');
+        forecastCard.className = 'forecast-card forecast-unavailable fade-in';
+        forecastCard.innerHTML = `
+            <div class="forecast-header">
+                <div>
+                    <div class="forecast-day">${dayName}</div>
+                    <div class="forecast-date">${dateString}</div>
+                </div>
+            </div>
+            <div class="forecast-unavailable-body">
+                <i class="fas fa-circle-question"></i>
+                <span>Not available</span>
             </div>
+            <div class="forecast-condition">Beyond this provider's forecast range</div>
         `;
 
         return forecastCard;
@@ -553,6 +1234,7 @@ class WeatherApp {
      */
     async handleSearchInput(query) {
         clearTimeout(this.searchTimeout);
+        this.cancelSearch();
         
         if (query.length === 0) {
             // Show recent searches when input is empty
@@ -570,16 +1252,31 @@ class WeatherApp {
 
         // Reduce debounce time for better responsiveness
         this.searchTimeout = setTimeout(async () => {
+            const controller = new AbortController();
+            this.searchController = controller;
+
             try {
-                const suggestions = await this.weatherService.searchCities(query);
+                const suggestions = await this.weatherService.searchCities(query, { signal: controller.signal });
+                if (controller.signal.aborted) return;
                 this.displaySearchSuggestions(suggestions, query);
             } catch (error) {
+                if (error instanceof RequestCancelledError) return;
                 console.error('Search failed:', error);
                 this.hideSearchSuggestions();
             }
         }, 200); // Reduced from 300ms to 200ms
     }
 
+    /**
+     * Abort the search in flight so its suggestions cannot land after newer ones
+     */
+    cancelSearch() {
+        if (this.searchController) {
+            this.searchController.abort();
+            this.searchController = null;
+        }
+    }
+
     /**
      * Show loading state in search suggestions
      */
@@ -642,11 +1339,11 @@ class WeatherApp {
             
             suggestionItem.innerHTML = `
                 <i class="fas fa-history"></i>
-                <span>${search}</span>
+                <span>${this.formatPlaceName(search)}</span>
             `;
             
             suggestionItem.addEventListener('click', () => {
-                this.selectLocation(search);
+                this.openPlace(search);
             });
             
             suggestionsContainer.appendChild(suggestionItem);
@@ -735,12 +1432,8 @@ class WeatherApp {
             `;
             
             suggestionItem.addEventListener('click', () => {
-                // If we have coordinates, use them for more accurate results
-                if (suggestion.lat && suggestion.lon) {
-                    this.loadWeatherDataByCoords(suggestion.lat, suggestion.lon);
-                } else {
-                    this.selectLocation(displayName);
-                }
+                // Coordinates give more accurate results than the name
+                this.openPlace(Number.isFinite(suggestion.lat) && Number.isFinite(suggestion.lon) ? suggestion : { name: displayName });
             });
             
             // Add keyboard navigation
@@ -760,9 +1453,10 @@ class WeatherApp {
     }
 
     /**
-     * Select a location from suggestions
+     * Open a suggested or recent place, by coordinates when it has them
+     * so the same place comes back rather than whatever the name geocodes to
      */
-    async selectLocation(locationName) {
+    async openPlace(place) {
         const searchInput = document.getElementById('searchInput');
         
         // Clear search input and close suggestions immediately
@@ -771,26 +1465,29 @@ class WeatherApp {
         this.hideSearchSuggestions();
         
         // Add to recent searches
-        this.addToRecentSearches(locationName);
-        
-        // Show loading state
-        this.showLoadingScreen();
+        this.addToRecentSearches(place);
         
-        try {
-            await this.loadWeatherData(locationName);
-        } catch (error) {
-            console.error('Error loading weather data:', error);
-            this.showError('Failed to load weather data. Please try again.');
-        } finally {
-            this.hideLoadingScreen();
+        // While comparing, a picked place becomes another column instead of replacing the view
+        if (this.currentView === 'compare' && Number.isFinite(place.lat) && Number.isFinite(place.lon)) {
+            this.addToComparison(place);
+            return;
         }
+        
+        await this.loadPlace(place);
     }
 
     /**
-     * Show search suggestions
+     * "Name, State, Country" for a place object
      */
-    showSearchSuggestions() {
-        const suggestions = document.getElementById('searchSuggestions');
+    formatPlaceName(place) {
+        return place.displayName || [place.name, place.state, place.country].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Show search suggestions
+     */
+    showSearchSuggestions() {
+        const suggestions = document.getElementById('searchSuggestions');
         suggestions.classList.remove('hidden');
     }
 
@@ -818,22 +1515,679 @@ class WeatherApp {
         }
     }
 
+    /**
+     * Build the unit settings panel from the available unit options
+     */
+    setupUnitSettings() {
+        const form = document.getElementById('unitSettingsForm');
+        form.innerHTML = '';
+
+        Object.keys(UnitSettings.OPTIONS).forEach(category => {
+            const field = document.createElement('label');
+            field.className = 'settings-field';
+            field.innerHTML = `
+                <span>${UnitSettings.CATEGORY_LABELS[category]}</span>
+                <select name="${category}">
+                    ${UnitSettings.OPTIONS[category].map(option => `
+                        <option value="${option.value}">${option.label}</option>
+                    `).join('')}
+                </select>
+            `;
+            field.querySelector('select').value = this.units.get(category);
+            form.appendChild(field);
+        });
+
+        form.addEventListener('change', (e) => {
+            this.units.set(e.target.name, e.target.value);
+            this.applyUnit();
+            if (this.weatherData) {
+                this.renderUnitDependentSections(this.weatherData);
+            }
+        });
+
+        const forecastLength = document.getElementById('forecastLength');
+        forecastLength.innerHTML = WeatherService.FORECAST_LENGTHS.map(days => `
+            <option value="${days}">${days} days</option>
+        `).join('');
+        forecastLength.value = String(this.weatherService.forecastDays);
+        forecastLength.addEventListener('change', (e) => this.setForecastLength(parseInt(e.target.value, 10)));
+
+        const viewerTimeToggle = document.getElementById('showViewerTime');
+        viewerTimeToggle.checked = this.showViewerTime;
+        viewerTimeToggle.addEventListener('change', (e) => {
+            this.showViewerTime = e.target.checked;
+            localStorage.setItem('showViewerTime', String(this.showViewerTime));
+            if (this.weatherData) {
+                this.renderTimeDependentSections(this.weatherData);
+            }
+        });
+
+        document.getElementById('settingsToggle').addEventListener('click', () => this.showSettings());
+        document.getElementById('closeSettings').addEventListener('click', () => this.hideSettings());
+    }
+
+    /**
+     * Change the forecast length; payloads are cached per length, so reload what is on screen
+     */
+    async setForecastLength(days) {
+        this.weatherService.setForecastDays(days);
+
+        if (this.currentView === 'favorites') {
+            this.refreshFavorites();
+        } else if (this.currentView === 'compare') {
+            this.updateComparison();
+        }
+
+        if (this.currentLocation) {
+            await this.loadPlace(this.currentLocation);
+        }
+    }
+
+    /**
+     * Show unit settings panel
+     */
+    showSettings() {
+        const form = document.getElementById('unitSettingsForm');
+        Object.keys(UnitSettings.OPTIONS).forEach(category => {
+            form.elements[category].value = this.units.get(category);
+        });
+        document.getElementById('settingsPanel').classList.remove('hidden');
+    }
+
+    /**
+     * Hide unit settings panel
+     */
+    hideSettings() {
+        document.getElementById('settingsPanel').classList.add('hidden');
+    }
+
+    /**
+     * Apply the current temperature unit to the toggle button
+     */
+    applyUnit() {
+        const unitBtn = document.getElementById('unitToggle');
+        unitBtn.textContent = this.units.getLabel('temperature');
+        this.updateRoute();
+    }
+
     /**
      * Toggle temperature unit
      */
     toggleUnit() {
-        this.currentUnit = this.currentUnit === 'celsius' ? 'fahrenheit' : 'celsius';
-        const unitBtn = document.getElementById('unitToggle');
-        unitBtn.textContent = this.currentUnit === 'celsius' ? '°C' : '°F';
+        this.units.cycleTemperature();
+        this.applyUnit();
         
-        // Refresh current data with new unit
-        if (this.currentLocation) {
-            if (this.currentLocation.lat && this.currentLocation.lon) {
-                this.loadWeatherDataByCoords(this.currentLocation.lat, this.currentLocation.lon);
-            } else {
-                this.loadWeatherData(this.currentLocation.name);
+        // Re-render from the last payload; every unit is derived from its metric values
+        if (this.weatherData) {
+            this.renderUnitDependentSections(this.weatherData);
+        }
+    }
+
+    /**
+     * Re-render every section that displays unit-dependent values
+     */
+    renderUnitDependentSections(weatherData) {
+        this.updateCurrentWeather(weatherData.current);
+        this.updateWeatherDetails(weatherData.current);
+        
+        if (weatherData.hourly && weatherData.hourly.length > 0) {
+            this.updateHourlyForecast(weatherData.hourly);
+        }
+        
+        if (weatherData.forecast && weatherData.forecast.forecastday) {
+            this.updateDailyForecast(weatherData.forecast.forecastday);
+        }
+        
+        if (this.currentView === 'favorites') {
+            this.renderFavorites();
+        } else if (this.currentView === 'compare') {
+            this.renderComparison();
+        }
+    }
+
+    /**
+     * Switch between the detail sections and the favorites or compare views
+     */
+    showView(view) {
+        this.currentView = view;
+        document.querySelector('.container').classList.toggle('detail-hidden', view !== 'detail');
+        document.getElementById('favoritesView').classList.toggle('hidden', view !== 'favorites');
+        document.getElementById('compareView').classList.toggle('hidden', view !== 'compare');
+        document.getElementById('favoritesToggle').setAttribute('aria-pressed', String(view === 'favorites'));
+        document.getElementById('compareToggle').setAttribute('aria-pressed', String(view === 'compare'));
+
+        if (view === 'favorites') {
+            this.renderFavorites();
+            this.refreshFavorites();
+        } else if (view === 'compare') {
+            this.showComparison();
+        }
+        this.updateRoute();
+    }
+
+    /**
+     * Header buttons open their view, or return to the detail view when it is already open
+     */
+    toggleView(view) {
+        this.showView(this.currentView === view ? 'detail' : view);
+    }
+
+    /**
+     * Wire up the favorites dashboard and the star next to the location name
+     */
+    setupFavorites() {
+        document.getElementById('favoritesToggle').addEventListener('click', () => this.toggleView('favorites'));
+        document.getElementById('favoriteToggle').addEventListener('click', () => this.toggleCurrentFavorite());
+        this.favorites.addEventListener('change', () => this.updateManifest());
+        this.updateManifest();
+    }
+
+    /**
+     * Point the manifest link at a copy that lists the first favorites as app shortcuts.
+     * server.js builds it from the query; static hosts serve the plain manifest.
+     */
+    updateManifest() {
+        const link = document.querySelector('link[rel="manifest"]');
+        const shortcuts = this.favorites.getAll()
+            .slice(0, WeatherApp.MAX_FAVORITE_SHORTCUTS)
+            .map(favorite => ({
+                name: this.favorites.getDisplayName(favorite),
+                lat: favorite.lat,
+                lon: favorite.lon
+            }));
+
+        link.href = shortcuts.length > 0
+            ? `/manifest.webmanifest?favorites=${encodeURIComponent(JSON.stringify(shortcuts))}`
+            : '/manifest.webmanifest';
+    }
+
+    /**
+     * Fetch current conditions for every favorite; cached entries come back immediately
+     */
+    async refreshFavorites() {
+        await Promise.all(this.favorites.getAll().map(async favorite => {
+            try {
+                const weatherData = await this.weatherService.getWeatherByCoords(favorite.lat, favorite.lon, { place: favorite });
+                this.favoriteWeather.set(favorite.id, weatherData);
+                this.checkNotifications(favorite, weatherData);
+            } catch (error) {
+                console.error(`Failed to load weather for ${favorite.name}:`, error);
+                this.favoriteWeather.set(favorite.id, error.cachedData || null);
+            }
+            this.updateFavoriteCard(favorite);
+        }));
+    }
+
+    renderFavorites() {
+        const grid = document.getElementById('favoritesGrid');
+        const favorites = this.favorites.getAll();
+        
+        grid.innerHTML = '';
+        document.getElementById('favoritesEmpty').classList.toggle('hidden', favorites.length > 0);
+        
+        favorites.forEach(favorite => {
+            grid.appendChild(this.createFavoriteCard(favorite));
+        });
+    }
+
+    updateFavoriteCard(favorite) {
+        const card = document.querySelector(`#favoritesGrid [data-id="${favorite.id}"]`);
+        if (card) {
+            card.replaceWith(this.createFavoriteCard(favorite));
+        }
+    }
+
+    /**
+     * Create a compact, draggable card for a favorite
+     */
+    createFavoriteCard(favorite) {
+        // undefined while loading, null when the request failed
+        const weatherData = this.favoriteWeather.get(favorite.id);
+        const place = [favorite.label ? favorite.name : '', favorite.state, favorite.country].filter(Boolean).join(', ');
+
+        const card = document.createElement('div');
+        card.className = 'favorite-card';
+        card.dataset.id = favorite.id;
+        card.draggable = true;
+        card.setAttribute('tabindex', '0');
+        card.setAttribute('role', 'button');
+
+        let bodyHtml;
+        if (weatherData === undefined) {
+            bodyHtml = '<div class="favorite-status"><i class="fas fa-spinner fa-spin"></i> Loading...</div>';
+        } else if (!weatherData) {
+            bodyHtml = '<div class="favorite-status">Weather unavailable</div>';
+        } else {
+            const current = weatherData.current;
+            const today = weatherData.forecast?.forecastday?.[0];
+            const alertCount = this.weatherService.alerts.getActive(favorite.lat, favorite.lon).length;
+            const localTime = this.weatherService.formatLocationTime(
+                Math.floor(Date.now() / 1000),
+                weatherData.location.utc_offset_seconds || 0,
+                { hour: '2-digit', minute: '2-digit', hour12: true }
+            );
+
+            bodyHtml = `
+                <div class="favorite-weather">
+                    <i class="${this.weatherService.getConditionIcon(current.condition, { isDay: current.is_day })} favorite-icon"></i>
+                    <span class="favorite-temp">${this.units.formatTemperature(current.temp_c)}</span>
+                </div>
+                <div class="favorite-condition">${current.condition.text}</div>
+                <div class="favorite-meta">
+                    ${today && today.day ? `<span>H ${this.units.formatTemperature(today.day.maxtemp_c)} · L ${this.units.formatTemperature(today.day.mintemp_c)}</span>` : ''}
+                    <span><i class="far fa-clock"></i> ${localTime}</span>
+                </div>
+                ${alertCount > 0 ? `<div class="favorite-alerts"><i class="fas fa-triangle-exclamation"></i> ${alertCount} active alert${alertCount === 1 ? '' : 's'}</div>` : ''}
+                ${weatherData.demo ? '<div class="favorite-status">Demo data</div>' : ''}
+            `;
+        }
+
+        card.innerHTML = `
+            <div class="favorite-card-header">
+                <div>
+                    <h3 class="favorite-name"></h3>
+                    <p class="favorite-place"></p>
+                </div>
+                <div class="favorite-actions">
+                    <button class="favorite-action" data-action="rename" aria-label="Rename favorite">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button class="favorite-action" data-action="remove" aria-label="Remove from favorites">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+            ${bodyHtml}
+        `;
+        // Labels are user-entered, so keep them out of innerHTML
+        card.querySelector('.favorite-name').textContent = this.favorites.getDisplayName(favorite);
+        card.querySelector('.favorite-place').textContent = place;
+
+        card.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]');
+            if (!action) {
+                this.openFavorite(favorite);
+            } else if (action.dataset.action === 'rename') {
+                this.startRenameFavorite(card, favorite);
+            } else if (action.dataset.action === 'remove') {
+                this.removeFavorite(favorite);
+            }
+        });
+
+        card.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target === card) {
+                e.preventDefault();
+                this.openFavorite(favorite);
+            }
+        });
+
+        // Drag to reorder
+        card.addEventListener('dragstart', (e) => {
+            this.draggedFavoriteId = favorite.id;
+            card.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', favorite.id);
+        });
+
+        card.addEventListener('dragover', (e) => {
+            if (!this.draggedFavoriteId || this.draggedFavoriteId === favorite.id) return;
+            e.preventDefault();
+            card.classList.add('drag-over');
+        });
+
+        card.addEventListener('dragleave', () => {
+            card.classList.remove('drag-over');
+        });
+
+        card.addEventListener('drop', (e) => {
+            e.preventDefault();
+            if (this.draggedFavoriteId) {
+                this.favorites.move(this.draggedFavoriteId, favorite.id);
+                this.renderFavorites();
+            }
+        });
+
+        card.addEventListener('dragend', () => {
+            this.draggedFavoriteId = null;
+            card.classList.remove('dragging');
+        });
+
+        return card;
+    }
+
+    /**
+     * Replace the favorite's name with an inline label editor
+     */
+    startRenameFavorite(card, favorite) {
+        const nameElement = card.querySelector('.favorite-name');
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'favorite-rename';
+        input.value = this.favorites.getDisplayName(favorite);
+        input.setAttribute('aria-label', 'Favorite label');
+
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            if (save) {
+                // Saving the plain place name clears the custom label
+                this.favorites.rename(favorite.id, input.value.trim() === favorite.name ? '' : input.value);
+            }
+            this.updateFavoriteCard(favorite);
+        };
+
+        input.addEventListener('click', (e) => e.stopPropagation());
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        card.draggable = false;
+        nameElement.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    removeFavorite(favorite) {
+        this.favorites.remove(favorite.id);
+        this.favoriteWeather.delete(favorite.id);
+        this.renderFavorites();
+        this.updateFavoriteButton();
+    }
+
+    /**
+     * Switch from the dashboard into the full detail view for a favorite
+     */
+    async openFavorite(favorite) {
+        this.showView('detail');
+        await this.loadWeatherDataByCoords(favorite.lat, favorite.lon, favorite);
+    }
+
+    /**
+     * Star or unstar the location on screen
+     */
+    toggleCurrentFavorite() {
+        const location = this.currentLocation;
+        if (!location || !Number.isFinite(location.lat) || !Number.isFinite(location.lon) || this.weatherData?.demo) {
+            return;
+        }
+
+        const id = this.favorites.getId(location.lat, location.lon);
+        if (this.favorites.get(id)) {
+            this.favorites.remove(id);
+            this.favoriteWeather.delete(id);
+        } else {
+            this.favorites.add(location);
+            this.favoriteWeather.set(id, this.weatherData);
+        }
+        this.updateFavoriteButton();
+    }
+
+    updateFavoriteButton() {
+        const button = document.getElementById('favoriteToggle');
+        const location = this.currentLocation;
+        const canFavorite = Boolean(location && Number.isFinite(location.lat) && Number.isFinite(location.lon) && !this.weatherData?.demo);
+        const isFavorite = canFavorite && this.favorites.has(location.lat, location.lon);
+
+        button.disabled = !canFavorite;
+        button.classList.toggle('active', isFavorite);
+        button.setAttribute('aria-pressed', String(isFavorite));
+        button.setAttribute('aria-label', isFavorite ? 'Remove from favorites' : 'Add to favorites');
+        button.innerHTML = `<i class="${isFavorite ? 'fas' : 'far'} fa-star"></i>`;
+    }
+
+    /**
+     * Build the notification rule editor and start checking favorites periodically
+     */
+    setupNotifications() {
+        const form = document.getElementById('notificationRuleForm');
+        const fillSelect = (select, entries) => {
+            select.innerHTML = entries.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        };
+        fillSelect(form.elements.metric, Object.entries(WeatherNotifier.METRICS).map(([id, metric]) => [id, metric.label]));
+        fillSelect(form.elements.operator, Object.entries(WeatherNotifier.OPERATORS).map(([id, operator]) => [id, operator.symbol]));
+        fillSelect(form.elements.window, Object.entries(WeatherNotifier.WINDOWS).map(([id, range]) => [id, range.label]));
+
+        form.elements.metric.addEventListener('change', () => this.updateNotificationUnitLabel());
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const metric = form.elements.metric.value;
+            const category = WeatherNotifier.METRICS[metric].category;
+            const rule = this.notifier.addRule({
+                metric,
+                operator: form.elements.operator.value,
+                value: parseFloat(form.elements.value.value),
+                window: form.elements.window.value,
+                unit: category ? this.units.get(category) : null
+            });
+            if (rule) {
+                form.elements.value.value = '';
+                this.renderNotificationRules();
+                this.refreshFavorites();
+            }
+        });
+
+        document.getElementById('notificationRules').addEventListener('change', (e) => {
+            if (e.target.matches('input[type="checkbox"]')) {
+                this.notifier.setRuleEnabled(e.target.closest('li').dataset.id, e.target.checked);
             }
+        });
+        document.getElementById('notificationRules').addEventListener('click', (e) => {
+            const removeButton = e.target.closest('.notification-rule-remove');
+            if (removeButton) {
+                this.notifier.removeRule(removeButton.closest('li').dataset.id);
+                this.renderNotificationRules();
+            }
+        });
+
+        document.getElementById('notificationPermissionBtn').addEventListener('click', async () => {
+            await this.notifier.requestPermission();
+            this.updateNotificationPermission();
+            this.refreshFavorites();
+        });
+
+        const quietEnabled = document.getElementById('quietHoursEnabled');
+        const quietStart = document.getElementById('quietHoursStart');
+        const quietEnd = document.getElementById('quietHoursEnd');
+        quietEnabled.checked = this.notifier.quietHours.enabled;
+        quietStart.value = this.notifier.quietHours.start;
+        quietEnd.value = this.notifier.quietHours.end;
+        [quietEnabled, quietStart, quietEnd].forEach(input => input.addEventListener('change', () => {
+            this.notifier.setQuietHours({
+                enabled: quietEnabled.checked,
+                start: quietStart.value || '22:00',
+                end: quietEnd.value || '07:00'
+            });
+        }));
+
+        document.getElementById('notificationsToggle').addEventListener('click', () => this.showNotificationSettings());
+        document.getElementById('closeNotifications').addEventListener('click', () => this.hideNotificationSettings());
+
+        // Favorites are loaded on demand, so re-check them on a timer while rules are active
+        setInterval(() => this.checkFavoriteNotifications(), WeatherApp.NOTIFICATION_CHECK_INTERVAL);
+    }
+
+    checkFavoriteNotifications() {
+        if (this.notifier.hasActiveRules() && this.notifier.getPermission() === 'granted') {
+            this.refreshFavorites();
+        }
+    }
+
+    showNotificationSettings() {
+        this.renderNotificationRules();
+        this.updateNotificationUnitLabel();
+        this.updateNotificationPermission();
+        document.getElementById('notificationsPanel').classList.remove('hidden');
+    }
+
+    hideNotificationSettings() {
+        document.getElementById('notificationsPanel').classList.add('hidden');
+    }
+
+    /**
+     * New thresholds are entered in the current display unit
+     */
+    updateNotificationUnitLabel() {
+        const metric = WeatherNotifier.METRICS[document.getElementById('notificationRuleForm').elements.metric.value];
+        document.getElementById('notificationUnitLabel').textContent = metric.category
+            ? this.units.getLabel(metric.category)
+            : metric.unitLabel;
+    }
+
+    updateNotificationPermission() {
+        const permission = this.notifier.getPermission();
+        const status = document.getElementById('notificationPermissionStatus');
+        const button = document.getElementById('notificationPermissionBtn');
+
+        status.textContent = {
+            granted: 'Notifications are on.',
+            denied: 'Notifications are blocked in your browser settings.',
+            unsupported: 'This browser does not support notifications.'
+        }[permission] || 'Allow notifications to be alerted.';
+        button.classList.toggle('hidden', permission !== 'default');
+    }
+
+    renderNotificationRules() {
+        const list = document.getElementById('notificationRules');
+        const rules = this.notifier.getRules();
+
+        if (rules.length === 0) {
+            list.innerHTML = '<li class="notification-rules-empty">No rules yet. Add one below.</li>';
+            return;
+        }
+
+        list.innerHTML = rules.map(rule => `
+            <li class="notification-rule" data-id="${rule.id}">
+                <label>
+                    <input type="checkbox" ${rule.enabled ? 'checked' : ''} aria-label="Enable rule">
+                    <span>${this.notifier.describeRule(rule)}</span>
+                </label>
+                <button class="notification-rule-remove" type="button" aria-label="Remove rule">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Notify about rule matches in a favorite's forecast; failures never affect the dashboard
+     */
+    async checkNotifications(favorite, weatherData) {
+        if (!this.notifier.hasActiveRules()) return;
+
+        try {
+            await this.notifier.check({ id: favorite.id, name: this.favorites.getDisplayName(favorite) }, weatherData);
+        } catch (error) {
+            console.error('Failed to check notification rules:', error);
+        }
+    }
+
+    setupComparison() {
+        document.getElementById('compareToggle').addEventListener('click', () => this.toggleView('compare'));
+    }
+
+    /**
+     * Places that can be compared: the location on screen, favorites, and places searched while comparing
+     */
+    getCompareCandidates() {
+        const candidates = [];
+        const location = this.currentLocation;
+
+        if (location && Number.isFinite(location.lat) && Number.isFinite(location.lon) && !this.weatherData?.demo) {
+            candidates.push({ ...location, id: this.favorites.getId(location.lat, location.lon) });
+        }
+        candidates.push(...this.favorites.getAll(), ...this.compareExtras);
+
+        return candidates.filter((candidate, index, self) =>
+            index === self.findIndex(item => item.id === candidate.id)
+        );
+    }
+
+    /**
+     * Open compare mode, starting from the first two candidates when nothing is selected yet
+     */
+    showComparison() {
+        const candidateIds = this.getCompareCandidates().map(candidate => candidate.id);
+        this.compareSelection = this.compareSelection.filter(id => candidateIds.includes(id));
+        if (this.compareSelection.length === 0) {
+            this.compareSelection = candidateIds.slice(0, ComparisonController.MIN_PLACES);
+        }
+        this.updateComparison();
+    }
+
+    addToComparison(place) {
+        const id = this.favorites.getId(place.lat, place.lon);
+        if (!this.getCompareCandidates().some(candidate => candidate.id === id)) {
+            this.compareExtras.push({
+                id,
+                name: place.name,
+                state: place.state || '',
+                country: place.country || '',
+                lat: place.lat,
+                lon: place.lon
+            });
+        }
+        if (!this.compareSelection.includes(id) && this.compareSelection.length < ComparisonController.MAX_PLACES) {
+            this.compareSelection.push(id);
+        }
+        this.updateComparison();
+    }
+
+    toggleCompareSelection(id) {
+        if (this.compareSelection.includes(id)) {
+            this.compareSelection = this.compareSelection.filter(item => item !== id);
+        } else if (this.compareSelection.length < ComparisonController.MAX_PLACES) {
+            this.compareSelection.push(id);
+        }
+        this.updateComparison();
+    }
+
+    /**
+     * Apply the current selection: redraw the picker and load the chosen places in parallel
+     */
+    async updateComparison() {
+        const candidates = this.getCompareCandidates();
+        this.comparison.setPlaces(this.compareSelection.map(id => candidates.find(candidate => candidate.id === id)));
+        this.renderComparePicker(candidates);
+        this.renderComparison();
+
+        if (this.comparison.canCompare() && await this.comparison.load()) {
+            this.renderComparison();
+        }
+    }
+
+    renderComparePicker(candidates) {
+        const picker = document.getElementById('comparePicker');
+        const isFull = this.compareSelection.length >= ComparisonController.MAX_PLACES;
+        picker.innerHTML = '';
+
+        if (candidates.length === 0) {
+            picker.innerHTML = '<p class="compare-empty">Search for a city or star favorites to compare them.</p>';
+            return;
         }
+
+        candidates.forEach(candidate => {
+            const isSelected = this.compareSelection.includes(candidate.id);
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = `compare-chip ${isSelected ? 'selected' : ''}`;
+            chip.setAttribute('aria-pressed', String(isSelected));
+            chip.disabled = isFull && !isSelected;
+            chip.textContent = candidate.label || candidate.name;
+            chip.addEventListener('click', () => this.toggleCompareSelection(candidate.id));
+            picker.appendChild(chip);
+        });
+    }
+
+    renderComparison() {
+        this.comparison.render(document.getElementById('compareTable'));
     }
 
     /**
@@ -867,16 +2221,128 @@ class WeatherApp {
     }
 
     /**
-     * Show error message
+     * Show an error message, or a WeatherError with the actions that fit it.
+     * `context` supplies the `retry` and `viewCached` callbacks and the `message`
+     * used for failures that have no specific wording.
      */
-    showError(message) {
+    showError(error, context = {}) {
         const errorModal = document.getElementById('errorModal');
+        const errorTitle = document.getElementById('errorTitle');
         const errorMessage = document.getElementById('errorMessage');
-        
-        errorMessage.textContent = message;
+        const errorActions = document.getElementById('errorActions');
+        const closeError = document.getElementById('closeError');
+
+        if (error instanceof RequestCancelledError) return;
+
+        // The "ratelimit" event already put up the notice; the last known forecast beats a dialog
+        if (error instanceof QuotaExceededError) {
+            if (context.viewCached && error.cachedData) {
+                context.viewCached(error.cachedData);
+            }
+            return;
+        }
+
+        const details = typeof error === 'string'
+            ? { message: error, actions: [] }
+            : this.describeError(error, context);
+
+        errorTitle.textContent = details.title || WeatherApp.DEFAULT_ERROR_TITLE;
+        errorMessage.textContent = details.message;
+
+        errorActions.querySelectorAll('.error-action').forEach(button => button.remove());
+        details.actions.forEach(({ label, run }, index) => {
+            const button = document.createElement('button');
+            button.className = `error-action ${index === 0 ? 'btn-primary' : 'btn-secondary'}`;
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                this.hideError();
+                run();
+            });
+            errorActions.insertBefore(button, closeError);
+        });
+
+        closeError.textContent = details.actions.length > 0 ? 'Dismiss' : 'OK';
+        closeError.className = details.actions.length > 0 ? 'btn-secondary' : 'btn-primary';
         errorModal.classList.remove('hidden');
     }
 
+    /**
+     * Title, message and actions for a failed request
+     */
+    describeError(error, { retry = null, viewCached = null, message = null } = {}) {
+        const actions = [];
+        if (retry) {
+            actions.push({ label: 'Retry', run: retry });
+        }
+        if (viewCached && error.cachedData) {
+            actions.push({ label: 'View cached data', run: () => viewCached(error.cachedData) });
+        }
+
+        if (error instanceof CityNotFoundError) {
+            return {
+                title: 'Location not found',
+                message: `We couldn't find "${error.query}". Check the spelling or pick one of the suggestions.`,
+                actions: [{ label: 'Pick a suggestion', run: () => this.showSuggestionsFor(error.query) }]
+            };
+        }
+
+        if (error instanceof InvalidApiKeyError) {
+            const { name: providerName, keyVariable } = this.weatherService.provider;
+            return {
+                title: 'API key rejected',
+                message: `${providerName} did not accept the API key. Check ${keyVariable} where server.js runs and restart it.`,
+                actions
+            };
+        }
+
+        if (error instanceof OfflineError) {
+            return {
+                title: 'You are offline',
+                message: 'Reconnect to the internet to get the latest forecast.',
+                actions
+            };
+        }
+
+        if (error instanceof NetworkError) {
+            return {
+                title: 'Connection problem',
+                message: 'The weather service could not be reached. Please check your connection.',
+                actions
+            };
+        }
+
+        if (error instanceof RequestTimeoutError) {
+            return {
+                title: 'Request timed out',
+                message: 'The weather service took too long to answer.',
+                actions
+            };
+        }
+
+        if (error instanceof MalformedResponseError) {
+            return {
+                title: 'Unexpected response',
+                message: 'The weather service sent data we could not read.',
+                actions
+            };
+        }
+
+        return {
+            message: message || error.message,
+            actions
+        };
+    }
+
+    /**
+     * Put a query back in the search box and show its suggestions
+     */
+    showSuggestionsFor(query) {
+        const searchInput = document.getElementById('searchInput');
+        searchInput.value = query;
+        searchInput.focus();
+        this.handleSearchInput(query);
+    }
+
     /**
      * Hide error message
      */
@@ -913,6 +2379,12 @@ class WeatherApp {
             this.toggleTheme();
         }
         
+        // Close unit settings and notifications
+        if (e.key === 'Escape') {
+            this.hideSettings();
+            this.hideNotificationSettings();
+        }
+        
         // Location shortcut (Ctrl/Cmd + L)
         if ((e.ctrlKey || e.metaKey) && e.key === 'l') {
             e.preventDefault();
@@ -942,8 +2414,11 @@ class WeatherApp {
      * Handle online/offline status
      */
     handleOnlineStatus(isOnline) {
-        if (!isOnline) {
-            this.showError('You are currently offline. Some features may not work properly.');
+        this.updateOfflineBanner();
+
+        // Replace the last known forecast with live data once the connection is back
+        if (isOnline && this.currentLocation && this.weatherData && this.weatherData.stale) {
+            this.loadPlace(this.currentLocation);
         }
     }
 
@@ -953,7 +2428,10 @@ class WeatherApp {
     loadRecentSearches() {
         try {
             const saved = localStorage.getItem('weatherApp_recentSearches');
-            return saved ? JSON.parse(saved) : [];
+            // Older versions stored plain names without coordinates
+            return saved
+                ? JSON.parse(saved).map(item => typeof item === 'string' ? { name: item } : item)
+                : [];
         } catch (error) {
             console.error('Error loading recent searches:', error);
             return [];
@@ -972,14 +2450,22 @@ class WeatherApp {
     }
 
     /**
-     * Add a search to recent searches
+     * Add a place ({ name, state, country, lat, lon }) to recent searches
      */
-    addToRecentSearches(locationName) {
+    addToRecentSearches(place) {
+        const entry = {
+            name: place.name,
+            state: place.state || '',
+            country: place.country || '',
+            lat: place.lat,
+            lon: place.lon
+        };
+        
         // Remove if already exists
-        this.recentSearches = this.recentSearches.filter(item => item !== locationName);
+        this.recentSearches = this.recentSearches.filter(item => this.formatPlaceName(item) !== this.formatPlaceName(entry));
         
         // Add to beginning
-        this.recentSearches.unshift(locationName);
+        this.recentSearches.unshift(entry);
         
         // Keep only last 5 searches
         this.recentSearches = this.recentSearches.slice(0, 5);
@@ -989,6 +2475,18 @@ class WeatherApp {
     }
 }
 
+WeatherApp.DEFAULT_CITY = 'New York';
+WeatherApp.NOTIFICATION_CHECK_INTERVAL = 15 * 60 * 1000;
+WeatherApp.DEFAULT_ERROR_TITLE = 'Oops! Something went wrong';
+// How long the rate limit notice stays up when the server did not say when to retry
+WeatherApp.RATE_LIMIT_NOTICE_SECONDS = 60;
+
+// theme-color for each theme: the start of the light gradient and the dark background
+WeatherApp.THEME_COLORS = { light: '#667eea', dark: '#1a202c' };
+
+// Matches MAX_FAVORITE_SHORTCUTS in server.js
+WeatherApp.MAX_FAVORITE_SHORTCUTS = 3;
+
 // Initialize the app when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     window.weatherApp = new WeatherApp();
@@ -1005,7 +2503,11 @@ window.addEventListener('error', (e) => {
 // Handle unhandled promise rejections
 window.addEventListener('unhandledrejection', (e) => {
     console.error('Unhandled promise rejection:', e.reason);
-    if (window.weatherApp) {
-        window.weatherApp.showError('A network error occurred. Please check your connection.');
+    if (!window.weatherApp || e.reason instanceof RequestCancelledError) return;
+
+    if (e.reason instanceof WeatherError) {
+        window.weatherApp.showError(e.reason);
+    } else {
+        window.weatherApp.showError('Something went wrong. Please refresh the page.');
     }
 });
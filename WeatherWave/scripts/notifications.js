@@ -0,0 +1,373 @@
+/**
+ * Weather Notifications
+ * User-defined threshold rules, e.g. "chance of rain > 60% in the next 3 hours",
+ * checked against the forecast for each favorite and delivered through the
+ * Notifications API. A threshold keeps the unit it was entered in, so changing
+ * the display units never changes what a rule means.
+ */
+
+class WeatherNotifier {
+    constructor(weatherService) {
+        this.weatherService = weatherService;
+        this.rulesKey = 'weatherApp_notificationRules';
+        this.logKey = 'weatherApp_notificationLog';
+        this.quietHoursKey = 'weatherApp_quietHours';
+        this.rules = this.loadRules();
+        this.log = this.loadObject(this.logKey);
+        this.quietHours = { enabled: false, start: '22:00', end: '07:00', ...this.loadObject(this.quietHoursKey) };
+    }
+
+    loadRules() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.rulesKey) || '[]');
+            return Array.isArray(saved) ? saved.filter(rule => this.isValidRule(rule)) : [];
+        } catch (error) {
+            console.error('Error loading notification rules:', error);
+            return [];
+        }
+    }
+
+    loadObject(key) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(key) || '{}');
+            return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+        } catch (error) {
+            console.error('Error loading notification settings:', error);
+            return {};
+        }
+    }
+
+    save(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.error('Error saving notification settings:', error);
+        }
+    }
+
+    isValidRule(rule) {
+        return Boolean(rule &&
+            WeatherNotifier.METRICS[rule.metric] &&
+            WeatherNotifier.OPERATORS[rule.operator] &&
+            WeatherNotifier.WINDOWS[rule.window] &&
+            Number.isFinite(rule.value));
+    }
+
+    getRules() {
+        return this.rules;
+    }
+
+    hasActiveRules() {
+        return this.rules.some(rule => rule.enabled);
+    }
+
+    /**
+     * Add a rule; `unit` is the unit option the threshold was entered in (ignored for % and UV)
+     */
+    addRule({ metric, operator, value, window, unit }) {
+        const rule = {
+            id: `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            metric,
+            operator,
+            value: Number(value),
+            window,
+            unit: WeatherNotifier.METRICS[metric]?.category ? unit : null,
+            enabled: true
+        };
+        if (!this.isValidRule(rule)) return null;
+
+        this.rules.push(rule);
+        this.save(this.rulesKey, this.rules);
+        return rule;
+    }
+
+    removeRule(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.save(this.rulesKey, this.rules);
+    }
+
+    setRuleEnabled(id, enabled) {
+        const rule = this.rules.find(item => item.id === id);
+        if (!rule) return;
+        rule.enabled = enabled;
+        this.save(this.rulesKey, this.rules);
+    }
+
+    setQuietHours(quietHours) {
+        this.quietHours = { ...this.quietHours, ...quietHours };
+        this.save(this.quietHoursKey, this.quietHours);
+    }
+
+    /**
+     * Whether a time falls in quiet hours (the viewer's clock); the range may span midnight
+     */
+    isQuietTime(date = new Date()) {
+        if (!this.quietHours.enabled) return false;
+
+        const toMinutes = time => {
+            const [hours, minutes] = String(time).split(':').map(Number);
+            return (hours || 0) * 60 + (minutes || 0);
+        };
+        const start = toMinutes(this.quietHours.start);
+        const end = toMinutes(this.quietHours.end);
+        const now = date.getHours() * 60 + date.getMinutes();
+
+        if (start === end) return false;
+        return start < end ? now >= start && now < end : now >= start || now < end;
+    }
+
+    isSupported() {
+        return 'Notification' in window;
+    }
+
+    getPermission() {
+        return this.isSupported() ? Notification.permission : 'unsupported';
+    }
+
+    async requestPermission() {
+        if (!this.isSupported()) return 'unsupported';
+        return Notification.requestPermission();
+    }
+
+    getUnitLabel(rule) {
+        const metric = WeatherNotifier.METRICS[rule.metric];
+        if (!metric.category) return metric.unitLabel;
+
+        const option = UnitSettings.OPTIONS[metric.category].find(item => item.value === rule.unit);
+        return option ? ` ${option.label}` : '';
+    }
+
+    /**
+     * Human-readable rule, e.g. "Wind speed > 40 km/h in the next 3 hours"
+     */
+    describeRule(rule) {
+        const metric = WeatherNotifier.METRICS[rule.metric];
+        const operator = WeatherNotifier.OPERATORS[rule.operator];
+        return `${metric.label} ${operator.symbol} ${rule.value}${this.getUnitLabel(rule)} ${WeatherNotifier.WINDOWS[rule.window].label}`;
+    }
+
+    /**
+     * Convert a metric value into the unit the rule was written in; `units` must
+     * already use that unit (see evaluate)
+     */
+    convertForRule(rule, value, units) {
+        const metric = WeatherNotifier.METRICS[rule.metric];
+        if (!metric.category) return value;
+        return metric.convert(units, value);
+    }
+
+    /**
+     * First forecast point in the rule's window that meets the threshold, as { time, value }, or null.
+     * Pass `units` to reuse one UnitSettings across rules instead of reading the saved units again.
+     */
+    evaluate(rule, weatherData, nowEpoch = Math.floor(Date.now() / 1000), units = new UnitSettings(this.weatherService)) {
+        const metric = WeatherNotifier.METRICS[rule.metric];
+        const operator = WeatherNotifier.OPERATORS[rule.operator];
+        const timeWindow = WeatherNotifier.WINDOWS[rule.window];
+        const useLow = rule.operator === '<' || rule.operator === '<=';
+
+        const samples = timeWindow.days
+            ? this.getDailySamples(timeWindow.days, weatherData, metric, useLow)
+            : this.getHourlySamples(rule.window, weatherData, nowEpoch, metric);
+
+        if (metric.category) {
+            units.useUnits({ [metric.category]: rule.unit });
+        }
+
+        for (const sample of samples) {
+            if (!Number.isFinite(sample.value)) continue;
+
+            const value = this.convertForRule(rule, sample.value, units);
+            if (operator.test(value, rule.value)) {
+                return { time: sample.time, value };
+            }
+        }
+        return null;
+    }
+
+    getHourlySamples(windowId, weatherData, nowEpoch, metric) {
+        const [start, end] = this.getHourlyRange(windowId, weatherData, nowEpoch);
+        return (weatherData.hourly || [])
+            .filter(hour => hour.time + 3600 > start && hour.time < end)
+            .map(hour => ({ time: hour.time, value: metric.hourly(hour) }));
+    }
+
+    /**
+     * [start, end) epochs of an hourly window; "tonight" is 18:00-06:00 at the location
+     */
+    getHourlyRange(windowId, weatherData, nowEpoch) {
+        const timeWindow = WeatherNotifier.WINDOWS[windowId];
+        if (timeWindow.hours) {
+            return [nowEpoch, nowEpoch + timeWindow.hours * 3600];
+        }
+
+        const utcOffset = weatherData.location.utc_offset_seconds || 0;
+        const today = this.weatherService.getLocationDateKey(nowEpoch, utcOffset);
+        const midnight = Date.parse(`${today}T00:00:00Z`) / 1000 - utcOffset;
+
+        // In the small hours, "tonight" is the night already under way
+        if (nowEpoch < midnight + 6 * 3600) {
+            return [nowEpoch, midnight + 6 * 3600];
+        }
+        return [Math.max(nowEpoch, midnight + 18 * 3600), midnight + 30 * 3600];
+    }
+
+    /**
+     * Day-level values where the forecast has them (the low for "below" rules, the high otherwise),
+     * otherwise that day's hours
+     */
+    getDailySamples(dayIndexes, weatherData, metric, useLow) {
+        const days = weatherData.forecast?.forecastday || [];
+
+        return dayIndexes.flatMap(index => {
+            const day = days[index];
+            if (!day || day.unavailable) return [];
+
+            if (metric.daily) {
+                const [low, high] = metric.daily(day.day);
+                return [{ time: day.date_epoch, value: useLow ? low : high }];
+            }
+            return (day.hour || []).map(hour => ({ time: hour.time, value: metric.hourly(hour) }));
+        });
+    }
+
+    /**
+     * Check every enabled rule against one place's forecast and notify on new matches.
+     * A rule fires at most once per place and local day; matches during quiet hours
+     * are not recorded, so they are delivered once quiet hours end if still forecast.
+     */
+    async check(place, weatherData, nowEpoch = Math.floor(Date.now() / 1000)) {
+        if (this.getPermission() !== 'granted' || !weatherData || weatherData.demo) return [];
+        if (this.isQuietTime()) return [];
+
+        this.pruneLog(nowEpoch);
+        const utcOffset = weatherData.location.utc_offset_seconds || 0;
+        const units = new UnitSettings(this.weatherService);
+        const delivered = [];
+
+        for (const rule of this.rules.filter(item => item.enabled)) {
+            const match = this.evaluate(rule, weatherData, nowEpoch, units);
+            if (!match) continue;
+
+            const key = `${rule.id}|${place.id}|${this.weatherService.getLocationDateKey(match.time, utcOffset)}`;
+            if (this.log[key]) continue;
+
+            const when = WeatherNotifier.WINDOWS[rule.window].days
+                ? this.weatherService.formatLocationTime(match.time, utcOffset, { weekday: 'long' })
+                : this.weatherService.formatLocationTime(match.time, utcOffset, { weekday: 'short', hour: 'numeric', hour12: true });
+            const title = `${place.name}: ${WeatherNotifier.METRICS[rule.metric].label}`;
+            const body = `${this.describeRule(rule)}. Forecast ${match.value}${this.getUnitLabel(rule)} (${when}).`;
+
+            // Claim the key before awaiting, so an overlapping check() cannot deliver it again
+            this.log[key] = nowEpoch;
+            if (!(await this.deliver(title, body, key))) {
+                delete this.log[key];
+                continue;
+            }
+            delivered.push({ rule, place, match });
+        }
+
+        this.save(this.logKey, this.log);
+        return delivered;
+    }
+
+    /**
+     * Forget notifications older than three days; their keys can no longer match
+     */
+    pruneLog(nowEpoch) {
+        Object.keys(this.log).forEach(key => {
+            if (this.log[key] < nowEpoch - 3 * 86400) {
+                delete this.log[key];
+            }
+        });
+    }
+
+    /**
+     * Show through the service worker when there is one (required on mobile browsers);
+     * resolves to whether the notification was shown
+     */
+    async deliver(title, body, tag) {
+        const options = { body, tag };
+
+        try {
+            const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+            if (registration) {
+                await registration.showNotification(title, options);
+                return true;
+            }
+            new Notification(title, options);
+            return true;
+        } catch (error) {
+            console.error('Failed to show notification:', error);
+            return false;
+        }
+    }
+}
+
+// hourly(hour) and daily(day.day) read metric values; daily returns [low, high]
+WeatherNotifier.METRICS = {
+    chance_of_rain: {
+        label: 'Chance of rain',
+        unitLabel: '%',
+        hourly: hour => hour.chance_of_rain || 0,
+        daily: day => [day.daily_chance_of_rain, day.daily_chance_of_rain]
+    },
+    temp: {
+        label: 'Temperature',
+        category: 'temperature',
+        hourly: hour => hour.temp_c,
+        daily: day => [day.mintemp_c, day.maxtemp_c],
+        convert: (units, value) => units.convertTemperature(value)
+    },
+    feelslike: {
+        label: 'Feels like',
+        category: 'temperature',
+        hourly: hour => hour.feelslike_c,
+        convert: (units, value) => units.convertTemperature(value)
+    },
+    wind: {
+        label: 'Wind speed',
+        category: 'wind',
+        hourly: hour => hour.wind_kph,
+        daily: day => [day.maxwind_kph, day.maxwind_kph],
+        convert: (units, value) => units.convertWind(value)
+    },
+    gust: {
+        label: 'Wind gusts',
+        category: 'wind',
+        hourly: hour => hour.gust_kph,
+        convert: (units, value) => units.convertWind(value)
+    },
+    uv: {
+        label: 'UV index',
+        unitLabel: '',
+        hourly: hour => hour.uv,
+        daily: day => [day.uv, day.uv]
+    },
+    precip: {
+        label: 'Precipitation',
+        category: 'precipitation',
+        hourly: hour => hour.precip_mm,
+        daily: day => [day.totalprecip_mm, day.totalprecip_mm],
+        convert: (units, value) => units.convertPrecipitation(value)
+    }
+};
+
+WeatherNotifier.OPERATORS = {
+    '>': { symbol: '>', test: (value, threshold) => value > threshold },
+    '>=': { symbol: '≥', test: (value, threshold) => value >= threshold },
+    '<': { symbol: '<', test: (value, threshold) => value < threshold },
+    '<=': { symbol: '≤', test: (value, threshold) => value <= threshold }
+};
+
+// Hourly windows give a length in hours (or are location-relative, like tonight); daily ones list day indexes
+WeatherNotifier.WINDOWS = {
+    next3h: { label: 'in the next 3 hours', hours: 3 },
+    next6h: { label: 'in the next 6 hours', hours: 6 },
+    next12h: { label: 'in the next 12 hours', hours: 12 },
+    next24h: { label: 'in the next 24 hours', hours: 24 },
+    tonight: { label: 'tonight' },
+    today: { label: 'today', days: [0] },
+    tomorrow: { label: 'tomorrow', days: [1] },
+    next3days: { label: 'in the next 3 days', days: [0, 1, 2] }
+};
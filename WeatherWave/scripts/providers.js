@@ -0,0 +1,678 @@
+/**
+ * Weather Providers
+ * Vendor-specific adapters that fetch weather data and map it into the
+ * normalized { location, current, forecast.forecastday, hourly } shape.
+ * Every lookup takes an `options` object whose `signal` cancels its requests.
+ */
+
+class WeatherProvider {
+    constructor(service, options = {}) {
+        this.service = service;
+        this.options = options;
+    }
+
+    /**
+     * Whether the server holds a key for this provider; keys never reach the browser
+     */
+    isConfigured() {
+        return (window.WEATHER_CONFIGURED_PROVIDERS || []).includes(this.id);
+    }
+
+    async getWeatherByCity(city, options = {}) {
+        throw new Error(`${this.name} does not support city lookup`);
+    }
+
+    async getWeatherByCoords(lat, lon, options = {}) {
+        throw new Error(`${this.name} does not support coordinate lookup`);
+    }
+
+    async searchCities(query, options = {}) {
+        throw new Error(`${this.name} does not support city search`);
+    }
+
+    /**
+     * Build the display name used by search suggestions
+     */
+    formatDisplayName(name, state, country) {
+        return `${name}${state ? `, ${state}` : ''}${country ? `, ${country}` : ''}`;
+    }
+}
+
+/**
+ * OpenWeatherMap (current weather + 5 day / 3 hour forecast),
+ * through the /api proxy in server.js which adds the key
+ */
+class OpenWeatherMapProvider extends WeatherProvider {
+    constructor(service, options = {}) {
+        super(service, options);
+        this.id = 'openweathermap';
+        this.name = 'OpenWeatherMap';
+        this.keyVariable = 'OPENWEATHER_API_KEY';
+        this.baseUrl = '/api';
+        // Set once One Call refuses the key, so alerts are not requested again this session
+        this.alertsUnavailable = false;
+    }
+
+    request(endpoint, params = {}, { signal = null } = {}) {
+        return this.service.makeRequest(`${this.baseUrl}${endpoint}`, params, {}, { signal });
+    }
+
+    async getWeatherByCity(city, options = {}) {
+        let weatherData;
+        try {
+            weatherData = await this.request('/weather', { q: city, units: 'metric' }, options);
+        } catch (error) {
+            throw error.status === 404 ? new CityNotFoundError(city) : error;
+        }
+        const [forecastData, airPollution, openMeteo, alerts] = await Promise.all([
+            this.request('/forecast', { q: city, units: 'metric' }, options),
+            this.getAirPollution(weatherData.coord?.lat, weatherData.coord?.lon, options),
+            this.getOpenMeteoForecast(weatherData.coord?.lat, weatherData.coord?.lon, options),
+            this.getAlerts(weatherData.coord?.lat, weatherData.coord?.lon, options)
+        ]);
+
+        return this.service.processWeatherData(weatherData, forecastData, { name: city, country: weatherData.sys?.country || '' }, { airPollution, openMeteo, alerts });
+    }
+
+    async getWeatherByCoords(lat, lon, options = {}) {
+        const [weatherData, forecastData, airPollution, openMeteo, alerts] = await Promise.all([
+            this.request('/weather', { lat: lat, lon: lon, units: 'metric' }, options),
+            this.request('/forecast', { lat: lat, lon: lon, units: 'metric' }, options),
+            this.getAirPollution(lat, lon, options),
+            this.getOpenMeteoForecast(lat, lon, options),
+            this.getAlerts(lat, lon, options)
+        ]);
+
+        // `name` is the nearest station, often a suburb; WeatherService replaces it with the reverse geocoded place
+        return this.service.processWeatherData(weatherData, forecastData, {
+            name: weatherData.name || this.service.formatCoordinates(lat, lon),
+            station: weatherData.name || '',
+            country: weatherData.sys?.country || '',
+            lat: lat,
+            lon: lon
+        }, { airPollution, openMeteo, alerts });
+    }
+
+    /**
+     * City, state and country for a point; null when nothing is found there
+     */
+    async reverseGeocode(lat, lon, options = {}) {
+        const places = await this.request('/geocode/reverse', { lat: lat, lon: lon, limit: 1 }, options);
+        const place = Array.isArray(places) ? places[0] : null;
+        if (!place) {
+            return null;
+        }
+
+        return {
+            name: place.name,
+            state: place.state || '',
+            country: place.country || ''
+        };
+    }
+
+    /**
+     * Current and forecast air pollution; null when unavailable so the
+     * weather itself still loads
+     */
+    async getAirPollution(lat, lon, options = {}) {
+        if (lat === undefined || lon === undefined) {
+            return null;
+        }
+
+        try {
+            const [current, forecast] = await Promise.all([
+                this.request('/air-pollution', { lat: lat, lon: lon }, options),
+                this.request('/air-pollution/forecast', { lat: lat, lon: lon }, options)
+            ]);
+            return { current, forecast };
+        } catch (error) {
+            console.warn('Air pollution data unavailable, using estimate:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * The 2.5 API reports neither UV nor days past the fifth, so borrow both from
+     * Open-Meteo's keyless forecast; null falls back to the UV estimate and a shorter range
+     */
+    async getOpenMeteoForecast(lat, lon, { signal = null } = {}) {
+        if (lat === undefined || lon === undefined) {
+            return null;
+        }
+
+        try {
+            return await this.service.makeRequest('https://api.open-meteo.com/v1/forecast', {
+                latitude: lat,
+                longitude: lon,
+                hourly: 'uv_index',
+                daily: 'weather_code,temperature_2m_max,temperature_2m_min,uv_index_max,precipitation_sum,precipitation_probability_max,wind_speed_10m_max',
+                wind_speed_unit: 'ms',
+                timeformat: 'unixtime',
+                timezone: 'auto',
+                forecast_days: this.service.forecastDays
+            }, {}, { signal });
+        } catch (error) {
+            console.warn('Open-Meteo forecast unavailable, using estimates:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Government alerts from One Call 3.0, which needs its own subscription;
+     * an empty list when the key does not include it
+     */
+    async getAlerts(lat, lon, options = {}) {
+        if (lat === undefined || lon === undefined || this.alertsUnavailable) {
+            return [];
+        }
+
+        try {
+            const data = await this.request('/alerts', {
+                lat: lat,
+                lon: lon,
+                exclude: 'current,minutely,hourly,daily'
+            }, options);
+            return this.service.alerts.normalizeOneCall(data.alerts || []);
+        } catch (error) {
+            if (error instanceof InvalidApiKeyError) {
+                this.alertsUnavailable = true;
+            }
+            console.warn('One Call alerts unavailable:', error.message);
+            return [];
+        }
+    }
+
+    async searchCities(query, options = {}) {
+        const geoData = await this.request('/geocode', { q: query, limit: 5 }, options);
+
+        return geoData.map(city => ({
+            name: city.name,
+            country: city.country,
+            state: city.state,
+            lat: city.lat,
+            lon: city.lon,
+            displayName: this.formatDisplayName(city.name, city.state, city.country)
+        }));
+    }
+}
+
+/**
+ * WeatherAPI.com through RapidAPI, proxied by server.js which adds the key
+ * The normalized shape mirrors this API, so mapping is mostly icon and unit cleanup
+ */
+class WeatherApiProvider extends WeatherProvider {
+    constructor(service, options = {}) {
+        super(service, options);
+        this.id = 'weatherapi';
+        this.name = 'WeatherAPI.com';
+        this.keyVariable = 'RAPIDAPI_KEY';
+        this.baseUrl = '/api/weatherapi';
+    }
+
+    request(endpoint, params = {}, { signal = null } = {}) {
+        return this.service.makeRequest(`${this.baseUrl}${endpoint}`, params, {}, { signal });
+    }
+
+    async getWeatherByCity(city, options = {}) {
+        let data;
+        try {
+            data = await this.request('/forecast', { q: city, days: this.service.forecastDays, aqi: 'yes', alerts: 'yes' }, options);
+        } catch (error) {
+            // WeatherAPI.com answers an unknown location with 400 (error code 1006)
+            throw error.status === 400 ? new CityNotFoundError(city) : error;
+        }
+        return this.normalize(data);
+    }
+
+    async getWeatherByCoords(lat, lon, options = {}) {
+        const data = await this.request('/forecast', { q: `${lat},${lon}`, days: this.service.forecastDays, aqi: 'yes', alerts: 'yes' }, options);
+        return this.normalize(data);
+    }
+
+    async searchCities(query, options = {}) {
+        const results = await this.request('/search', { q: query }, options);
+
+        return results.map(city => ({
+            name: city.name,
+            country: city.country,
+            state: city.region,
+            lat: city.lat,
+            lon: city.lon,
+            displayName: this.formatDisplayName(city.name, city.region, city.country)
+        }));
+    }
+
+    normalize(data) {
+        if (!data || !data.current || !data.location) {
+            throw new MalformedResponseError();
+        }
+
+        const forecastdays = data.forecast?.forecastday || [];
+        const utcOffset = this.getUtcOffset(data.location);
+
+        return {
+            location: {
+                ...data.location,
+                utc_offset_seconds: utcOffset
+            },
+            current: {
+                ...data.current,
+                is_day: Boolean(data.current.is_day),
+                uv_source: 'reported',
+                condition: this.normalizeCondition(data.current.condition, { isDay: Boolean(data.current.is_day) }),
+                air_quality: this.normalizeAirQuality(data.current.air_quality)
+            },
+            forecast: {
+                forecastday: forecastdays.map(day => {
+                    // Keep the reported rise/set and moon values, filling in twilight and the rest locally
+                    const astro = {
+                        ...this.service.buildAstro(day.date, utcOffset, data.location.lat, data.location.lon),
+                        ...day.astro,
+                        sunrise_epoch: this.getAstroEpoch(day.date, day.astro.sunrise, data.location),
+                        sunset_epoch: this.getAstroEpoch(day.date, day.astro.sunset, data.location),
+                        moonrise_epoch: this.getAstroEpoch(day.date, day.astro.moonrise, data.location),
+                        moonset_epoch: this.getAstroEpoch(day.date, day.astro.moonset, data.location),
+                        moon_illumination: String(day.astro.moon_illumination)
+                    };
+
+                    return {
+                        date: day.date,
+                        date_epoch: day.date_epoch,
+                        source: this.id,
+                        day: {
+                            ...day.day,
+                            condition: this.normalizeCondition(day.day.condition, {
+                                time: this.service.getLocationNoon(day.date, utcOffset),
+                                astro,
+                                lat: data.location.lat,
+                                lon: data.location.lon
+                            })
+                        },
+                        astro: astro,
+                        hour: (day.hour || []).map(hour => this.normalizeHour(hour))
+                    };
+                })
+            },
+            hourly: this.normalizeHourly(forecastdays, data.current.last_updated_epoch),
+            alerts: this.service.alerts.normalizeWeatherApi(data.alerts?.alert || [])
+        };
+    }
+
+    /**
+     * Flatten the per-day hour arrays into the next hours of the series
+     */
+    normalizeHourly(forecastdays, fromEpoch) {
+        const startEpoch = (fromEpoch || Math.floor(Date.now() / 1000)) - 3600;
+
+        return forecastdays
+            .flatMap(day => day.hour || [])
+            .filter(hour => hour.time_epoch > startEpoch)
+            .slice(0, this.service.hourlyHours)
+            .map(hour => this.normalizeHour(hour));
+    }
+
+    normalizeHour(hour) {
+        return {
+            time: hour.time_epoch,
+            period_hours: 1,
+            temp_c: Math.round(hour.temp_c),
+            temp_f: Math.round(hour.temp_f),
+            condition: this.normalizeCondition(hour.condition, { isDay: Boolean(hour.is_day) }),
+            wind_kph: Math.round(hour.wind_kph),
+            wind_mph: Math.round(hour.wind_mph),
+            wind_degree: hour.wind_degree,
+            wind_dir: hour.wind_dir,
+            gust_kph: Math.round(hour.gust_kph || 0),
+            gust_mph: Math.round(hour.gust_mph || 0),
+            pressure_mb: hour.pressure_mb,
+            pressure_in: hour.pressure_in,
+            humidity: hour.humidity,
+            chance_of_rain: hour.chance_of_rain || 0,
+            precip_mm: hour.precip_mm || 0,
+            precip_in: hour.precip_in || 0,
+            feelslike_c: Math.round(hour.feelslike_c),
+            feelslike_f: Math.round(hour.feelslike_f),
+            vis_km: hour.vis_km,
+            vis_miles: hour.vis_miles,
+            uv: Math.round(hour.uv || 0)
+        };
+    }
+
+    /**
+     * WeatherAPI.com only reports an IANA zone; derive the offset from its local wall-clock time
+     */
+    getUtcOffset(location) {
+        const localAsUtc = Date.parse(`${location.localtime.replace(' ', 'T')}:00Z`) / 1000;
+        const offset = localAsUtc - location.localtime_epoch;
+        // Round to the nearest quarter hour to absorb the seconds dropped from localtime
+        return Number.isFinite(offset) ? Math.round(offset / 900) * 900 : 0;
+    }
+
+    /**
+     * Convert a local "06:12 AM" astro time on a given date into an epoch
+     */
+    getAstroEpoch(date, time, location) {
+        const match = /^(\d{1,2}):(\d{2}) (AM|PM)$/.exec(time || '');
+        if (!match) return null;
+
+        const hours = (Number(match[1]) % 12) + (match[3] === 'PM' ? 12 : 0);
+        const localAsUtc = Date.parse(`${date}T00:00:00Z`) / 1000 + hours * 3600 + Number(match[2]) * 60;
+        return localAsUtc - this.getUtcOffset(location);
+    }
+
+    /**
+     * Replace the vendor icon URL with our Font Awesome class; `daylight` is passed to isDaytime
+     */
+    normalizeCondition(condition = {}, daylight = {}) {
+        const text = condition.text || 'Unknown';
+        return {
+            text: text,
+            icon: this.service.getWeatherIcon(this.service.getConditionGroup(text), text.toLowerCase(), daylight),
+            code: condition.code || 1000
+        };
+    }
+
+    normalizeAirQuality(airQuality) {
+        const labels = ['Good', 'Moderate', 'Unhealthy for Sensitive Groups', 'Unhealthy', 'Very Unhealthy', 'Hazardous'];
+        const index = airQuality ? airQuality['us-epa-index'] : null;
+        if (!index) {
+            return this.service.buildEstimatedAirQuality('Unknown');
+        }
+
+        return {
+            index: index,
+            max_index: labels.length,
+            label: labels[index - 1],
+            scale: 'US EPA index',
+            source: 'measured',
+            components: {
+                pm2_5: airQuality.pm2_5,
+                pm10: airQuality.pm10,
+                o3: airQuality.o3,
+                no2: airQuality.no2,
+                so2: airQuality.so2,
+                co: airQuality.co
+            },
+            forecast: []
+        };
+    }
+}
+
+/**
+ * Open-Meteo (no API key required)
+ */
+class OpenMeteoProvider extends WeatherProvider {
+    constructor(service, options = {}) {
+        super(service, options);
+        this.id = 'open-meteo';
+        this.name = 'Open-Meteo';
+        this.baseUrl = 'https://api.open-meteo.com/v1';
+        this.geoUrl = 'https://geocoding-api.open-meteo.com/v1';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async getWeatherByCity(city, options = {}) {
+        const [match] = await this.searchCities(city, { ...options, limit: 1 });
+        if (!match) {
+            throw new CityNotFoundError(city);
+        }
+        return this.getWeatherByCoords(match.lat, match.lon, { ...options, place: match });
+    }
+
+    /**
+     * `options.place` names the location when it came from a search
+     */
+    async getWeatherByCoords(lat, lon, { place = null, signal = null } = {}) {
+        const data = await this.service.makeRequest(`${this.baseUrl}/forecast`, {
+            latitude: lat,
+            longitude: lon,
+            current: 'temperature_2m,relative_humidity_2m,apparent_temperature,is_day,precipitation,weather_code,cloud_cover,pressure_msl,wind_speed_10m,wind_direction_10m,wind_gusts_10m',
+            hourly: 'temperature_2m,relative_humidity_2m,apparent_temperature,is_day,precipitation_probability,precipitation,weather_code,cloud_cover,visibility,pressure_msl,wind_speed_10m,wind_direction_10m,wind_gusts_10m,uv_index',
+            daily: 'weather_code,temperature_2m_max,temperature_2m_min,uv_index_max,precipitation_sum,precipitation_probability_max,wind_speed_10m_max',
+            wind_speed_unit: 'ms',
+            timeformat: 'unixtime',
+            timezone: 'auto',
+            forecast_days: this.service.forecastDays
+        }, {}, { signal });
+
+        return this.normalize(data, {
+            name: place ? place.name : this.service.formatCoordinates(lat, lon),
+            region: place ? place.state || '' : '',
+            country: place ? place.country : '',
+            lat: lat,
+            lon: lon
+        });
+    }
+
+    async searchCities(query, { limit = 5, signal = null } = {}) {
+        const geoData = await this.service.makeRequest(`${this.geoUrl}/search`, { name: query, count: limit }, {}, { signal });
+
+        return (geoData.results || []).map(city => ({
+            name: city.name,
+            country: city.country_code,
+            state: city.admin1,
+            lat: city.latitude,
+            lon: city.longitude,
+            displayName: this.formatDisplayName(city.name, city.admin1, city.country_code)
+        }));
+    }
+
+    normalize(data, location) {
+        if (!data || !data.current || !data.hourly || !data.daily) {
+            throw new MalformedResponseError();
+        }
+
+        const current = data.current;
+        const hourly = data.hourly;
+        const utcOffset = data.utc_offset_seconds || 0;
+        const currentHourIndex = Math.max(0, hourly.time.findIndex(time => time > current.time) - 1);
+        const condition = this.getCondition(current.weather_code, { isDay: Boolean(current.is_day) });
+        const visibilityKm = (hourly.visibility[currentHourIndex] ?? 10000) / 1000;
+
+        return {
+            location: {
+                name: location.name,
+                region: location.region,
+                country: location.country,
+                lat: location.lat,
+                lon: location.lon,
+                tz_id: data.timezone || this.service.formatUtcOffset(utcOffset),
+                utc_offset_seconds: utcOffset,
+                localtime_epoch: current.time,
+                localtime: this.service.formatLocationDateTime(current.time, utcOffset)
+            },
+            current: {
+                last_updated_epoch: current.time,
+                last_updated: this.service.formatLocationDateTime(current.time, utcOffset),
+                temp_c: Math.round(current.temperature_2m),
+                temp_f: this.service.convertCelsiusToFahrenheit(current.temperature_2m),
+                is_day: Boolean(current.is_day),
+                condition: { text: condition.text, icon: condition.icon, code: condition.code },
+                wind_mph: this.service.convertMpsToMph(current.wind_speed_10m),
+                wind_kph: this.service.convertMpsToKph(current.wind_speed_10m),
+                wind_degree: current.wind_direction_10m,
+                wind_dir: this.service.getWindDirection(current.wind_direction_10m),
+                pressure_mb: Math.round(current.pressure_msl),
+                pressure_in: this.service.convertMbToInches(current.pressure_msl),
+                precip_mm: current.precipitation || 0,
+                precip_in: this.service.convertMmToInches(current.precipitation || 0),
+                humidity: current.relative_humidity_2m,
+                cloud: current.cloud_cover,
+                feelslike_c: Math.round(current.apparent_temperature),
+                feelslike_f: this.service.convertCelsiusToFahrenheit(current.apparent_temperature),
+                vis_km: visibilityKm,
+                vis_miles: this.service.convertKmToMiles(visibilityKm),
+                uv: Math.round(hourly.uv_index[currentHourIndex] || 0),
+                uv_source: 'reported',
+                gust_mph: this.service.convertMpsToMph(current.wind_gusts_10m || 0),
+                gust_kph: this.service.convertMpsToKph(current.wind_gusts_10m || 0),
+                air_quality: this.service.buildEstimatedAirQuality(this.service.calculateAirQuality({
+                    main: { humidity: current.relative_humidity_2m },
+                    visibility: visibilityKm * 1000,
+                    weather: [{ main: condition.main, description: condition.text }],
+                    wind: { speed: current.wind_speed_10m }
+                }))
+            },
+            forecast: {
+                forecastday: this.normalizeDaily(data.daily, utcOffset, location, hourly)
+            },
+            hourly: this.normalizeHourly(hourly, currentHourIndex),
+            // Open-Meteo has no warnings feed; regional alerts are added by the service
+            alerts: []
+        };
+    }
+
+    normalizeDaily(daily, utcOffset, location, hourly = null) {
+        // Group the hourly series by the location's calendar day for each day's breakdown
+        const hoursByDate = new Map();
+        const indexesByDate = new Map();
+        (hourly ? hourly.time : []).forEach((time, i) => {
+            const date = this.service.getLocationDateKey(time, utcOffset);
+            if (!hoursByDate.has(date)) {
+                hoursByDate.set(date, []);
+                indexesByDate.set(date, []);
+            }
+            hoursByDate.get(date).push(this.normalizeHour(hourly, i));
+            indexesByDate.get(date).push(i);
+        });
+
+        return daily.time.map((time, i) => {
+            const date = this.service.getLocationDateKey(time, utcOffset);
+            const astro = this.service.buildAstro(date, utcOffset, location.lat, location.lon);
+            const condition = this.getCondition(daily.weather_code[i], {
+                time: this.service.getLocationNoon(date, utcOffset),
+                astro,
+                lat: location.lat,
+                lon: location.lon
+            });
+            const maxTemp = daily.temperature_2m_max[i];
+            const minTemp = daily.temperature_2m_min[i];
+            const precip = daily.precipitation_sum[i] || 0;
+            const rainChance = daily.precipitation_probability_max[i] || 0;
+            // Daily means of the hourly readings; null when the day has none
+            const indexes = indexesByDate.get(date) || [];
+            const humidity = this.service.average(indexes.map(index => hourly.relative_humidity_2m[index]));
+            const visibility = this.service.average(indexes.map(index => hourly.visibility[index]));
+
+            return {
+                date: date,
+                date_epoch: time,
+                source: this.id,
+                day: {
+                    maxtemp_c: Math.round(maxTemp),
+                    maxtemp_f: this.service.convertCelsiusToFahrenheit(maxTemp),
+                    mintemp_c: Math.round(minTemp),
+                    mintemp_f: this.service.convertCelsiusToFahrenheit(minTemp),
+                    avgtemp_c: Math.round((maxTemp + minTemp) / 2),
+                    avgtemp_f: this.service.convertCelsiusToFahrenheit((maxTemp + minTemp) / 2),
+                    maxwind_mph: this.service.convertMpsToMph(daily.wind_speed_10m_max[i]),
+                    maxwind_kph: this.service.convertMpsToKph(daily.wind_speed_10m_max[i]),
+                    totalprecip_mm: Math.round(precip * 10) / 10,
+                    totalprecip_in: this.service.convertMmToInches(precip),
+                    avgvis_km: visibility !== null ? Math.round(visibility / 100) / 10 : null,
+                    avgvis_miles: visibility !== null ? this.service.convertKmToMiles(visibility / 1000) : null,
+                    avghumidity: humidity !== null ? Math.round(humidity) : null,
+                    daily_will_it_rain: rainChance > 50 ? 1 : 0,
+                    daily_chance_of_rain: Math.round(rainChance),
+                    daily_will_it_snow: condition.main === 'Snow' ? 1 : 0,
+                    daily_chance_of_snow: condition.main === 'Snow' ? Math.round(rainChance) : 0,
+                    condition: { text: condition.text, icon: condition.icon, code: condition.code },
+                    uv: Math.round(daily.uv_index_max[i] || 0)
+                },
+                astro: astro,
+                hour: hoursByDate.get(date) || []
+            };
+        });
+    }
+
+    normalizeHourly(hourly, startIndex) {
+        return hourly.time
+            .slice(startIndex, startIndex + this.service.hourlyHours)
+            .map((time, offset) => this.normalizeHour(hourly, startIndex + offset));
+    }
+
+    normalizeHour(hourly, i) {
+        const condition = this.getCondition(hourly.weather_code[i], { isDay: hourly.is_day ? Boolean(hourly.is_day[i]) : null });
+        const visibilityKm = (hourly.visibility[i] ?? 10000) / 1000;
+        const pressure = hourly.pressure_msl ? hourly.pressure_msl[i] : null;
+        const gust = hourly.wind_gusts_10m ? hourly.wind_gusts_10m[i] || 0 : 0;
+
+        return {
+            time: hourly.time[i],
+            period_hours: 1,
+            temp_c: Math.round(hourly.temperature_2m[i]),
+            temp_f: this.service.convertCelsiusToFahrenheit(hourly.temperature_2m[i]),
+            condition: { text: condition.text, icon: condition.icon, code: condition.code },
+            wind_kph: this.service.convertMpsToKph(hourly.wind_speed_10m[i]),
+            wind_mph: this.service.convertMpsToMph(hourly.wind_speed_10m[i]),
+            wind_degree: hourly.wind_direction_10m[i],
+            wind_dir: this.service.getWindDirection(hourly.wind_direction_10m[i]),
+            gust_kph: this.service.convertMpsToKph(gust),
+            gust_mph: this.service.convertMpsToMph(gust),
+            pressure_mb: pressure !== null ? Math.round(pressure) : null,
+            pressure_in: pressure !== null ? this.service.convertMbToInches(pressure) : null,
+            humidity: hourly.relative_humidity_2m[i],
+            chance_of_rain: hourly.precipitation_probability[i] || 0,
+            precip_mm: hourly.precipitation[i] || 0,
+            precip_in: this.service.convertMmToInches(hourly.precipitation[i] || 0),
+            feelslike_c: Math.round(hourly.apparent_temperature[i]),
+            feelslike_f: this.service.convertCelsiusToFahrenheit(hourly.apparent_temperature[i]),
+            vis_km: visibilityKm,
+            vis_miles: this.service.convertKmToMiles(visibilityKm),
+            uv: Math.round(hourly.uv_index[i] || 0)
+        };
+    }
+
+    /**
+     * Translate a WMO weather code into an OpenWeatherMap-style condition; `daylight` is passed to isDaytime
+     */
+    getCondition(code, daylight = {}) {
+        const [main, text] = OpenMeteoProvider.WMO_CODES[code] || ['Clouds', 'unknown'];
+        return {
+            main: main,
+            text: text,
+            icon: this.service.getWeatherIcon(main, text, daylight),
+            code: code
+        };
+    }
+}
+
+OpenMeteoProvider.WMO_CODES = {
+    0: ['Clear', 'clear sky'],
+    1: ['Clouds', 'few clouds'],
+    2: ['Clouds', 'scattered clouds'],
+    3: ['Clouds', 'overcast clouds'],
+    45: ['Atmosphere', 'fog'],
+    48: ['Atmosphere', 'depositing rime fog'],
+    51: ['Drizzle', 'light drizzle'],
+    53: ['Drizzle', 'drizzle'],
+    55: ['Drizzle', 'dense drizzle'],
+    56: ['Drizzle', 'light freezing drizzle'],
+    57: ['Drizzle', 'freezing drizzle'],
+    61: ['Rain', 'light rain'],
+    63: ['Rain', 'moderate rain'],
+    65: ['Rain', 'heavy rain'],
+    66: ['Rain', 'light freezing rain'],
+    67: ['Rain', 'freezing rain'],
+    71: ['Snow', 'light snow'],
+    73: ['Snow', 'snow'],
+    75: ['Snow', 'heavy snow'],
+    77: ['Snow', 'snow grains'],
+    80: ['Rain', 'light shower rain'],
+    81: ['Rain', 'shower rain'],
+    82: ['Rain', 'heavy shower rain'],
+    85: ['Snow', 'light shower snow'],
+    86: ['Snow', 'heavy shower snow'],
+    95: ['Thunderstorm', 'thunderstorm'],
+    96: ['Thunderstorm', 'thunderstorm with light hail'],
+    99: ['Thunderstorm', 'thunderstorm with heavy hail']
+};
+
+window.WeatherProviders = {
+    openweathermap: OpenWeatherMapProvider,
+    weatherapi: WeatherApiProvider,
+    'open-meteo': OpenMeteoProvider
+};
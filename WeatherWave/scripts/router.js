@@ -0,0 +1,116 @@
+/**
+ * App Router
+ * Keeps the location, active view and units in the query string so any state
+ * can be bookmarked or shared, and back/forward move between locations.
+ *
+ *   ?q=Lisbon&lat=38.7167&lon=-9.1333&view=compare&temperature=fahrenheit
+ *
+ * Only units that differ from the defaults are written. `?locate=1` (the app's
+ * "Current location" shortcut) asks for the device location instead; it is only
+ * read, and replaced by the located place once it loads.
+ */
+
+class AppRouter {
+    constructor() {
+        this.historyEnabled = false;
+    }
+
+    /**
+     * Read the route from a query string; missing parts come back as null/defaults
+     */
+    parse(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        const lat = parseFloat(params.get('lat'));
+        const lon = parseFloat(params.get('lon'));
+        const name = (params.get('q') || '').trim();
+
+        let location = null;
+        if (Number.isFinite(lat) && Number.isFinite(lon) && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+            location = { name: name || `${lat.toFixed(2)}, ${lon.toFixed(2)}`, lat, lon };
+        } else if (name) {
+            location = { name };
+        }
+
+        const units = {};
+        Object.keys(UnitSettings.DEFAULTS).forEach(category => {
+            if (params.has(category)) {
+                units[category] = params.get(category);
+            }
+        });
+
+        const view = AppRouter.VIEWS.includes(params.get('view')) ? params.get('view') : 'detail';
+        const locate = params.get('locate') === '1';
+
+        return { location, view, units, locate };
+    }
+
+    buildUrl({ location, view, units }) {
+        const params = new URLSearchParams();
+
+        if (location) {
+            params.set('q', location.name);
+            if (Number.isFinite(location.lat) && Number.isFinite(location.lon)) {
+                params.set('lat', location.lat.toFixed(4));
+                params.set('lon', location.lon.toFixed(4));
+            }
+        }
+        if (view && view !== 'detail') {
+            params.set('view', view);
+        }
+        Object.keys(UnitSettings.DEFAULTS).forEach(category => {
+            if (units && units[category] && units[category] !== UnitSettings.DEFAULTS[category]) {
+                params.set(category, units[category]);
+            }
+        });
+
+        const query = params.toString();
+        return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    }
+
+    /**
+     * Start pushing history entries; until then (initial load) the URL is only replaced
+     */
+    enableHistory() {
+        this.historyEnabled = true;
+    }
+
+    /**
+     * Write the state to the URL. A new location or view pushes a history
+     * entry; anything else (units, refreshed data) replaces the current one.
+     */
+    sync(state, { replace = false } = {}) {
+        const url = this.buildUrl(state);
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            return;
+        }
+
+        const current = this.parse();
+        const isNavigation = this.historyEnabled && !replace && (
+            this.getLocationKey(current.location) !== this.getLocationKey(state.location) ||
+            current.view !== (state.view || 'detail')
+        );
+
+        if (isNavigation) {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
+        }
+    }
+
+    /**
+     * Call back with the parsed route when the user navigates back or forward
+     */
+    onNavigate(callback) {
+        window.addEventListener('popstate', () => callback(this.parse()));
+    }
+
+    getLocationKey(location) {
+        if (!location) return '';
+        if (Number.isFinite(location.lat) && Number.isFinite(location.lon)) {
+            return `${location.lat.toFixed(2)},${location.lon.toFixed(2)}`;
+        }
+        return location.name.toLowerCase();
+    }
+}
+
+AppRouter.VIEWS = ['detail', 'favorites', 'compare'];
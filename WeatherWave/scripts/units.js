@@ -0,0 +1,208 @@
+/**
+ * Unit Settings
+ * Independent, persisted unit preferences for each kind of measurement.
+ * Values are always converted from the metric fields of the normalized payload.
+ */
+
+class UnitSettings {
+    constructor(converter) {
+        this.converter = converter;
+        this.storageKey = 'weatherApp_units';
+        // `saved` is what the user chose; `preferences` adds any units a shared link set for this session
+        this.saved = this.load();
+        this.preferences = { ...this.saved };
+    }
+
+    /**
+     * Load preferences from localStorage, falling back to metric defaults
+     */
+    load() {
+        const defaults = { ...UnitSettings.DEFAULTS };
+
+        // Carry over the old single °C/°F toggle
+        const legacyUnit = localStorage.getItem('unit');
+        if (legacyUnit === 'fahrenheit') {
+            defaults.temperature = 'fahrenheit';
+        }
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            Object.keys(saved).forEach(category => {
+                if (this.isValid(category, saved[category])) {
+                    defaults[category] = saved[category];
+                }
+            });
+        } catch (error) {
+            console.error('Error loading unit settings:', error);
+        }
+
+        return defaults;
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.saved));
+        } catch (error) {
+            console.error('Error saving unit settings:', error);
+        }
+    }
+
+    isValid(category, unit) {
+        const options = UnitSettings.OPTIONS[category];
+        return Boolean(options && options.some(option => option.value === unit));
+    }
+
+    /**
+     * Overlay units for this session without saving them, e.g. from a shared link;
+     * categories not given keep the saved preference
+     */
+    useUnits(units) {
+        this.preferences = { ...this.saved };
+        Object.keys(units).forEach(category => {
+            if (this.isValid(category, units[category])) {
+                this.preferences[category] = units[category];
+            }
+        });
+    }
+
+    get(category) {
+        return this.preferences[category];
+    }
+
+    /**
+     * Change one category and save it; the rest of a link's session units stay unsaved
+     */
+    set(category, unit) {
+        if (!this.isValid(category, unit)) return;
+        this.preferences[category] = unit;
+        this.saved[category] = unit;
+        this.save();
+    }
+
+    /**
+     * Step the temperature unit to the next option (used by the header toggle)
+     */
+    cycleTemperature() {
+        const options = UnitSettings.OPTIONS.temperature;
+        const index = options.findIndex(option => option.value === this.preferences.temperature);
+        this.set('temperature', options[(index + 1) % options.length].value);
+    }
+
+    getLabel(category) {
+        const option = UnitSettings.OPTIONS[category].find(option => option.value === this.preferences[category]);
+        return option ? option.label : '';
+    }
+
+    convertTemperature(celsius) {
+        switch (this.preferences.temperature) {
+            case 'fahrenheit':
+                return this.converter.convertCelsiusToFahrenheit(celsius);
+            case 'kelvin':
+                return this.converter.convertCelsiusToKelvin(celsius);
+            default:
+                return Math.round(celsius);
+        }
+    }
+
+    /**
+     * Compact temperature for large displays and cards, e.g. "21°" or "294 K"
+     */
+    formatTemperature(celsius) {
+        const value = this.convertTemperature(celsius);
+        return this.preferences.temperature === 'kelvin' ? `${value} K` : `${value}°`;
+    }
+
+    convertWind(kph) {
+        switch (this.preferences.wind) {
+            case 'mph':
+                return this.converter.convertKphToMph(kph);
+            case 'mps':
+                return this.converter.convertKphToMps(kph);
+            case 'knots':
+                return this.converter.convertKphToKnots(kph);
+            case 'beaufort':
+                return this.converter.convertKphToBeaufort(kph);
+            default:
+                return Math.round(kph);
+        }
+    }
+
+    formatWind(kph) {
+        return `${this.convertWind(kph)} ${this.getLabel('wind')}`;
+    }
+
+    convertPressure(mb) {
+        switch (this.preferences.pressure) {
+            case 'inhg':
+                return this.converter.convertMbToInches(mb);
+            case 'mmhg':
+                return this.converter.convertMbToMmHg(mb);
+            default:
+                return Math.round(mb);
+        }
+    }
+
+    formatPressure(mb) {
+        return `${this.convertPressure(mb)} ${this.getLabel('pressure')}`;
+    }
+
+    convertDistance(km) {
+        return this.preferences.distance === 'mi' ? this.converter.convertKmToMiles(km) : km;
+    }
+
+    formatDistance(km) {
+        return `${this.convertDistance(km)} ${this.getLabel('distance')}`;
+    }
+
+    convertPrecipitation(mm) {
+        return this.preferences.precipitation === 'in' ? this.converter.convertMmToInches(mm) : Math.round(mm * 10) / 10;
+    }
+
+    formatPrecipitation(mm) {
+        return `${this.convertPrecipitation(mm)} ${this.getLabel('precipitation')}`;
+    }
+}
+
+UnitSettings.DEFAULTS = {
+    temperature: 'celsius',
+    wind: 'kph',
+    pressure: 'hpa',
+    distance: 'km',
+    precipitation: 'mm'
+};
+
+UnitSettings.OPTIONS = {
+    temperature: [
+        { value: 'celsius', label: '°C' },
+        { value: 'fahrenheit', label: '°F' },
+        { value: 'kelvin', label: 'K' }
+    ],
+    wind: [
+        { value: 'kph', label: 'km/h' },
+        { value: 'mph', label: 'mph' },
+        { value: 'mps', label: 'm/s' },
+        { value: 'knots', label: 'kn' },
+        { value: 'beaufort', label: 'Bft' }
+    ],
+    pressure: [
+        { value: 'hpa', label: 'hPa' },
+        { value: 'inhg', label: 'inHg' },
+        { value: 'mmhg', label: 'mmHg' }
+    ],
+    distance: [
+        { value: 'km', label: 'km' },
+        { value: 'mi', label: 'mi' }
+    ],
+    precipitation: [
+        { value: 'mm', label: 'mm' },
+        { value: 'in', label: 'in' }
+    ]
+};
+
+UnitSettings.CATEGORY_LABELS = {
+    temperature: 'Temperature',
+    wind: 'Wind speed',
+    pressure: 'Pressure',
+    distance: 'Distance',
+    precipitation: 'Precipitation'
+};
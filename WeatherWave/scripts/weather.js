@@ -1,18 +1,79 @@
-class WeatherService {
+class WeatherService extends EventTarget {
     constructor() {
-        this.apiKey = window.OPENWEATHER_API_KEY;
-        this.baseUrl = 'https://api.openweathermap.org/data/2.5';
+        super();
+        const providerIds = [window.WEATHER_PROVIDER || 'openweathermap', ...(window.WEATHER_FALLBACK_PROVIDERS || [])];
+        this.providers = [...new Set(providerIds)].map(id => this.createProvider(id));
+        this.provider = this.providers[0];
+        this.geocoder = this.providers.find(provider => provider.id === 'openweathermap') || this.createProvider('openweathermap');
+        this.providerHealth = {};
+        this.providerCooldown = window.WEATHER_PROVIDER_COOLDOWN || 60000;
+        this.requestTimeout = 10000;
+        this.maxRetries = 2;
+        this.retryBaseDelay = 500;
+        this.retryMaxDelay = 4000;
+        this.cache = new WeatherCache();
+        this.astronomy = new AstronomyCalculator();
+        this.alerts = new WeatherAlerts(this);
+        this.cacheTtl = window.WEATHER_CACHE_TTL || 10 * 60 * 1000;
+        this.cacheMaxAge = 24 * 60 * 60 * 1000;
+        this.revalidating = new Set();
+        this.hourlyHours = 48;
+        this.forecastDays = this.loadForecastDays();
+
+        // Offline, old entries are still the last known forecast, so only prune when they can be refetched
+        if (navigator.onLine !== false) {
+            this.cache.prune(this.cacheMaxAge);
+        }
+    }
+
+    /**
+     * Saved forecast length in days, one of WeatherService.FORECAST_LENGTHS
+     */
+    loadForecastDays() {
+        try {
+            const saved = parseInt(localStorage.getItem('weatherApp_forecastDays'), 10);
+            return WeatherService.FORECAST_LENGTHS.includes(saved) ? saved : WeatherService.DEFAULT_FORECAST_DAYS;
+        } catch (error) {
+            console.error('Error loading forecast length:', error);
+            return WeatherService.DEFAULT_FORECAST_DAYS;
+        }
+    }
+
+    setForecastDays(days) {
+        if (!WeatherService.FORECAST_LENGTHS.includes(days)) return;
+        this.forecastDays = days;
+
+        try {
+            localStorage.setItem('weatherApp_forecastDays', String(days));
+        } catch (error) {
+            console.error('Error saving forecast length:', error);
+        }
+    }
+
+    /**
+     * Instantiate a provider from the registry in providers.js
+     */
+    createProvider(id) {
+        const Provider = window.WeatherProviders[id];
+        if (!Provider) {
+            console.warn(`Unknown weather provider "${id}", falling back to OpenWeatherMap`);
+            return new window.WeatherProviders.openweathermap(this);
+        }
+        return new Provider(this);
     }
 
     isValidApiKey() {
-        return this.apiKey && this.apiKey !== 'YOUR_API_KEY_HERE' && this.apiKey.trim().length > 0;
+        return this.providers.some(provider => provider.isConfigured());
     }
 
-    async makeRequest(endpoint, params = {}) {
-        const url = new URL(`${this.baseUrl}${endpoint}`);
-        
-        // Add API key to params
-        params.appid = this.apiKey;
+    /**
+     * GET JSON from an absolute URL or a same-origin path such as the /api proxy.
+     * Each attempt times out after `requestTimeout`; network errors and retryable
+     * statuses are retried with exponential backoff and jitter. Aborting `signal`
+     * cancels the request, including any wait between attempts.
+     */
+    async makeRequest(endpoint, params = {}, headers = {}, { signal = null, retries = this.maxRetries } = {}) {
+        const url = new URL(endpoint, window.location.origin);
         
         // Add parameters to URL
         Object.keys(params).forEach(key => {
@@ -20,128 +81,514 @@ class WeatherService {
                 url.searchParams.append(key, params[key]);
             }
         });
-        
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetchJson(url, headers, signal);
+            } catch (error) {
+                if (error instanceof RequestCancelledError || attempt >= retries || !this.isRetryableError(error)) {
+                    if (!(error instanceof RequestCancelledError)) {
+                        console.error('Request failed:', error);
+                    }
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(attempt);
+                console.warn(`${error.message}, retrying in ${delay} ms`);
+                await this.wait(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * One attempt at a request, with its own timeout and the caller's signal
+     */
+    async fetchJson(url, headers, signal) {
+        if (signal && signal.aborted) {
+            throw new RequestCancelledError();
+        }
+
+        const controller = new AbortController();
+        const cancel = () => controller.abort();
+        const timer = setTimeout(cancel, this.requestTimeout);
+        if (signal) {
+            signal.addEventListener('abort', cancel, { once: true });
+        }
+
         try {
-            const response = await fetch(url);
+            let response;
+            try {
+                response = await fetch(url, { headers, signal: controller.signal });
+            } catch (fetchError) {
+                throw this.toRequestError(fetchError, signal);
+            }
+            
             if (!response.ok) {
                 console.error('API Response:', response.status, response.statusText);
-                throw new Error('API error: ' + response.status);
+                throw this.toStatusError(response);
+            }
+
+            try {
+                return await response.json();
+            } catch (bodyError) {
+                if (bodyError.name === 'AbortError') {
+                    throw this.toRequestError(bodyError, signal);
+                }
+                throw new MalformedResponseError('The weather service returned a response that is not valid JSON');
+            }
+        } finally {
+            clearTimeout(timer);
+            if (signal) {
+                signal.removeEventListener('abort', cancel);
+            }
+        }
+    }
+
+    /**
+     * Map a fetch failure to a cancelled, timed out, offline or network error
+     */
+    toRequestError(fetchError, signal) {
+        if (signal && signal.aborted) {
+            return new RequestCancelledError();
+        }
+        if (fetchError.name === 'AbortError') {
+            return new RequestTimeoutError();
+        }
+        return navigator.onLine === false ? new OfflineError() : new NetworkError();
+    }
+
+    /**
+     * Map an unsuccessful response to a typed error
+     */
+    toStatusError(response) {
+        if (response.status === 401 || response.status === 403) {
+            return new InvalidApiKeyError(response.status);
+        }
+        if (response.status === 429) {
+            return new QuotaExceededError(this.parseRetryAfter(response.headers.get('Retry-After')));
+        }
+        return new ApiError(response.status);
+    }
+
+    /**
+     * Network errors and transient server statuses. Timeouts already waited the full
+     * `requestTimeout` and 429s carry their own Retry-After, so both go to failover
+     * instead; retrying while offline cannot help.
+     */
+    isRetryableError(error) {
+        return (error instanceof NetworkError && !(error instanceof OfflineError)) ||
+            WeatherService.RETRYABLE_STATUSES.includes(error.status);
+    }
+
+    /**
+     * Exponential backoff with full jitter, so clients that failed together do not retry together
+     */
+    getRetryDelay(attempt) {
+        const backoff = Math.min(this.retryBaseDelay * 2 ** attempt, this.retryMaxDelay);
+        return Math.round(Math.random() * backoff);
+    }
+
+    wait(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new RequestCancelledError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new RequestCancelledError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Seconds to wait from a Retry-After header, which is either seconds or an HTTP date
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, Math.ceil(seconds));
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+    }
+
+    /**
+     * Whether an error means the provider itself is unhealthy, so the next one should be tried
+     */
+    isFailoverError(error) {
+        return error instanceof NetworkError ||
+            error instanceof RequestTimeoutError ||
+            error instanceof InvalidApiKeyError ||
+            error instanceof QuotaExceededError ||
+            error instanceof MalformedResponseError ||
+            (error.status || 0) >= 500;
+    }
+
+    isProviderAvailable(provider) {
+        const health = this.providerHealth[provider.id];
+        return !health || Date.now() >= health.cooldownUntil;
+    }
+
+    recordProviderSuccess(provider) {
+        delete this.providerHealth[provider.id];
+    }
+
+    /**
+     * Put a provider on cooldown, doubling the wait for each consecutive failure (max 10 minutes)
+     */
+    recordProviderFailure(provider, error) {
+        const health = this.providerHealth[provider.id] || { failures: 0 };
+        health.failures += 1;
+        health.lastError = error.message;
+        health.cooldownUntil = Date.now() + Math.min(this.providerCooldown * 2 ** (health.failures - 1), 600000);
+        // A rate limited provider is not retried before it said it would accept requests again
+        if (error.retryAfter) {
+            health.cooldownUntil = Math.max(health.cooldownUntil, Date.now() + error.retryAfter * 1000);
+        }
+        this.providerHealth[provider.id] = health;
+    }
+
+    /**
+     * Configured providers in priority order, healthy ones first
+     */
+    getProviderChain() {
+        const configured = this.providers.filter(provider => provider.isConfigured());
+        return [
+            ...configured.filter(provider => this.isProviderAvailable(provider)),
+            ...configured.filter(provider => !this.isProviderAvailable(provider))
+        ];
+    }
+
+    /**
+     * Run a request against each provider in turn until one succeeds.
+     * Errors that are not the provider's fault (e.g. unknown city) are rethrown immediately;
+     * when every provider fails the last error is thrown. If one of the providers was
+     * rate limiting, a "ratelimit" event with the longest `retryAfter` is fired first.
+     * Demo data is never substituted here; the app shows it only when no provider is
+     * configured (see WeatherApp.showApiKeyRequired).
+     */
+    async requestWithFailover(operation) {
+        const providers = this.getProviderChain();
+        if (providers.length === 0) {
+            throw new WeatherError('No weather provider is configured');
+        }
+
+        let lastError = null;
+        let rateLimitError = null;
+
+        for (const provider of providers) {
+            try {
+                const data = await operation(provider);
+                this.recordProviderSuccess(provider);
+                return data;
+            } catch (error) {
+                if (!this.isFailoverError(error)) {
+                    throw error;
+                }
+                lastError = error;
+                if (error instanceof QuotaExceededError && (!rateLimitError || (error.retryAfter || 0) > (rateLimitError.retryAfter || 0))) {
+                    rateLimitError = error;
+                }
+                this.recordProviderFailure(provider, error);
+                console.warn(`${provider.name} unavailable, trying next provider:`, error.message);
             }
-            return await response.json();
+        }
+
+        console.error('All weather providers failed:', lastError);
+        if (rateLimitError) {
+            this.dispatchEvent(new CustomEvent('ratelimit', { detail: { retryAfter: rateLimitError.retryAfter } }));
+        }
+        throw lastError;
+    }
+
+    /**
+     * Cache key for a location: rounded coordinates (~1 km) or the normalized city name,
+     * plus the forecast length since a shorter payload cannot serve a longer one
+     */
+    getCacheKey({ city, lat, lon }) {
+        const days = `|${this.forecastDays}d`;
+        if (lat !== undefined && lon !== undefined && lat !== null && lon !== null) {
+            return `coords:${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}${days}`;
+        }
+        return `city:${String(city).trim().toLowerCase()}${days}`;
+    }
+
+    /**
+     * Stale-while-revalidate: fresh entries are returned as-is, stale ones are returned
+     * immediately and refreshed in the background, firing a "weatherupdate" event.
+     * Offline, the last known payload is used at any age and flagged `stale`; when a
+     * fetch fails online, the error carries it as `cachedData` for the UI to offer.
+     * `signal` cancels only the foreground fetch; background revalidation always completes.
+     */
+    async getWithCache(key, fetchFresh, { signal = null } = {}) {
+        const entry = await this.cache.get(key);
+        const age = entry ? Date.now() - entry.timestamp : Infinity;
+
+        if (entry && !navigator.onLine) {
+            return this.markStale(entry);
+        }
+
+        if (entry && age < this.cacheTtl) {
+            return entry.data;
+        }
+
+        if (entry && age < this.cacheMaxAge) {
+            this.revalidate(key, fetchFresh);
+            return entry.data;
+        }
+
+        let data;
+        try {
+            data = await fetchFresh(signal);
         } catch (error) {
-            console.error('Request failed:', error);
+            if (entry && error instanceof WeatherError && !(error instanceof RequestCancelledError)) {
+                error.cachedData = this.markStale(entry);
+            }
             throw error;
         }
+
+        await this.cache.set(key, data);
+        return data;
+    }
+
+    /**
+     * Copy of a cached payload flagged as the last known data, with when it was fetched
+     */
+    markStale(entry) {
+        return { ...entry.data, stale: true, fetched_at: entry.timestamp };
     }
 
-    async getWeatherByCity(city) {
+    async revalidate(key, fetchFresh) {
+        if (this.revalidating.has(key)) return;
+        this.revalidating.add(key);
+
         try {
-            // Use the current weather endpoint for city
-            const weatherData = await this.makeRequest('/weather', {
-                q: city,
-                units: 'metric'
-            });
-            
-            // Get forecast data
-            const forecastData = await this.makeRequest('/forecast', {
-                q: city,
-                units: 'metric'
-            });
-            
-            return this.processWeatherData(weatherData, forecastData, { name: city, country: weatherData.sys?.country || '' });
+            const data = await fetchFresh();
+            await this.cache.set(key, data);
+            this.dispatchEvent(new CustomEvent('weatherupdate', { detail: { key, data } }));
         } catch (error) {
-            console.error('Error fetching weather by city:', error);
-            return this.generateDemoData(city);
+            console.error('Background revalidation failed:', error);
+        } finally {
+            this.revalidating.delete(key);
         }
     }
 
-    async getWeatherByCoords(lat, lon) {
+    /**
+     * `options.signal` cancels the request; it then rejects with a RequestCancelledError
+     */
+    async getWeatherByCity(city, options = {}) {
+        return this.getWithCache(this.getCacheKey({ city }), async (signal) => this.completeWeatherData(await this.requestWithFailover(
+            provider => provider.getWeatherByCity(city, { signal })
+        ), { signal }), options);
+    }
+
+    /**
+     * `options.place` names the point when it is already known (a search result or
+     * favorite); otherwise the point is reverse geocoded to its city, state and country
+     */
+    async getWeatherByCoords(lat, lon, { place = null, ...options } = {}) {
+        const weatherData = await this.getWithCache(this.getCacheKey({ lat, lon }), async (signal) => {
+            const [data, resolvedPlace] = await Promise.all([
+                this.requestWithFailover(provider => provider.getWeatherByCoords(lat, lon, { signal })),
+                place || this.reverseGeocode(lat, lon, { signal })
+            ]);
+            return this.completeWeatherData(this.applyPlace(data, resolvedPlace), { signal });
+        }, options);
+
+        // A cached payload may carry the name from an earlier lookup of the same point
+        return this.applyPlace(weatherData, place);
+    }
+
+    /**
+     * Reverse geocode through OpenWeatherMap, which needs its key whichever provider
+     * serves the weather; null when unavailable so the provider's own name is kept
+     */
+    async reverseGeocode(lat, lon, { signal = null } = {}) {
+        if (!this.geocoder.isConfigured()) {
+            return null;
+        }
+
         try {
-            // Use the current weather endpoint for coordinates
-            const weatherData = await this.makeRequest('/weather', {
-                lat: lat,
-                lon: lon,
-                units: 'metric'
-            });
-            
-            // Get forecast data
-            const forecastData = await this.makeRequest('/forecast', {
-                lat: lat,
-                lon: lon,
-                units: 'metric'
-            });
-            
-            return this.processWeatherData(weatherData, forecastData, { 
-                name: weatherData.name || 'Current Location', 
-                country: weatherData.sys?.country || '',
-                lat: lat,
-                lon: lon
-            });
+            return await this.geocoder.reverseGeocode(lat, lon, { signal });
         } catch (error) {
-            console.error('Error fetching weather by coordinates:', error);
-            return this.generateDemoData('Current Location');
+            if (error instanceof RequestCancelledError) {
+                throw error;
+            }
+            console.warn('Reverse geocoding unavailable:', error.message);
+            return null;
         }
     }
 
-    async searchCities(query) {
+    /**
+     * Name a payload's location after a place; the provider's own name stays as `station`
+     * when it was a weather station
+     */
+    applyPlace(weatherData, place) {
+        if (!place) {
+            return weatherData;
+        }
+
+        return {
+            ...weatherData,
+            location: {
+                ...weatherData.location,
+                name: place.name,
+                region: place.state || '',
+                country: place.country || weatherData.location.country || ''
+            }
+        };
+    }
+
+    /**
+     * Steps shared by every provider's payload: fit the forecast length and add official alerts
+     */
+    async completeWeatherData(weatherData, { signal = null } = {}) {
+        this.applyForecastHorizon(weatherData);
+
+        weatherData.alerts = await this.alerts.addRegionalAlerts(weatherData.location, weatherData.alerts || [], { signal });
+        // Cancelled while fetching alerts: never cache or record a payload missing them
+        if (signal && signal.aborted) {
+            throw new RequestCancelledError();
+        }
+        this.alerts.record(weatherData.location, weatherData.alerts);
+
+        return weatherData;
+    }
+
+    /**
+     * Fit the daily forecast to the selected length, starting from the location's today.
+     * Days no source covers become explicit placeholders ({ unavailable: true, day: null })
+     * instead of invented weather; every day gets a `confidence` from its lead time.
+     */
+    applyForecastHorizon(weatherData) {
+        const location = weatherData.location;
+        const utcOffset = location.utc_offset_seconds || 0;
+        const today = this.getLocationDateKey(Math.floor(Date.now() / 1000), utcOffset);
+        const daysByDate = new Map((weatherData.forecast?.forecastday || []).map(day => [day.date, day]));
+
+        const forecastday = [];
+        for (let i = 0; i < this.forecastDays; i++) {
+            const date = this.addDaysToDateKey(today, i);
+            const day = daysByDate.get(date);
+            forecastday.push(day
+                ? { ...day, confidence: this.getForecastConfidence(i) }
+                : this.createUnavailableDay(date, utcOffset, location.lat, location.lon));
+        }
+
+        weatherData.forecast = { ...weatherData.forecast, forecastday };
+        return weatherData;
+    }
+
+    /**
+     * Forecast skill drops with lead time: days 1-3 high, 4-7 medium, beyond that low
+     */
+    getForecastConfidence(dayIndex) {
+        if (dayIndex < 3) return 'high';
+        if (dayIndex < 7) return 'medium';
+        return 'low';
+    }
+
+    /**
+     * Placeholder for a day outside the provider's range; sun and moon times are still computed
+     */
+    createUnavailableDay(date, utcOffset, lat, lon) {
+        return {
+            date: date,
+            date_epoch: Date.parse(`${date}T00:00:00Z`) / 1000 - utcOffset,
+            unavailable: true,
+            source: null,
+            confidence: 'unavailable',
+            day: null,
+            astro: this.buildAstro(date, utcOffset, lat || 0, lon || 0),
+            hour: []
+        };
+    }
+
+    addDaysToDateKey(dateKey, days) {
+        const date = new Date(`${dateKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
+
+    async searchCities(query, { signal = null } = {}) {
         try {
-            // Use the geocoding API with the correct endpoint
-            const geoData = await fetch(`https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(query)}&limit=5&appid=${this.apiKey}`)
-                .then(response => {
-                    if (!response.ok) {
-                        throw new Error('API error: ' + response.status);
-                    }
-                    return response.json();
-                });
-            
-            return geoData.map(city => ({
-                name: city.name,
-                country: city.country,
-                state: city.state,
-                lat: city.lat,
-                lon: city.lon,
-                displayName: `${city.name}${city.state ? `, ${city.state}` : ''}${city.country ? `, ${city.country}` : ''}`
-            }));
+            return await this.requestWithFailover(provider => provider.searchCities(query, { signal }));
         } catch (error) {
+            if (error instanceof RequestCancelledError) {
+                throw error;
+            }
             console.error('Error searching cities:', error);
             return [query];
         }
     }
 
-    processWeatherData(currentData, forecastData, location) {
+    /**
+     * Normalize OpenWeatherMap current + forecast responses.
+     * extras.airPollution, extras.openMeteo and extras.alerts carry optional supplementary data.
+     */
+    processWeatherData(currentData, forecastData, location, extras = {}) {
         if (!currentData) {
-            throw new Error('Invalid weather data received from API');
+            throw new MalformedResponseError();
         }
 
+        // Offset of the location from UTC in seconds, as reported by OpenWeatherMap
+        const utcOffset = currentData.timezone ?? forecastData?.city?.timezone ?? 0;
+
         // Process forecast data to get hourly and daily forecasts
-        const processedForecast = this.processForecastData(forecastData, currentData);
+        const processedForecast = this.processForecastData(forecastData, currentData, utcOffset);
 
-        // Calculate UV index based on time of day, cloud cover, and weather conditions
-        const uvIndex = this.calculateUVIndex(currentData);
+        // Estimate UV from the sun's elevation and cloud cover; replaced below when reported UV is available
+        const lat = location.lat || currentData.coord?.lat || 0;
+        const lon = location.lon || currentData.coord?.lon || 0;
+        const uvIndex = this.estimateUVIndex(currentData.dt, lat, lon, currentData.clouds?.all || 0);
+        // OpenWeatherMap reports no sunrise or sunset (0) during polar day and night
+        const sys = currentData.sys || {};
+        const isDay = sys.sunrise && sys.sunset
+            ? currentData.dt > sys.sunrise && currentData.dt < sys.sunset
+            : this.isDaytime({ time: currentData.dt, lat, lon });
         
-        // Calculate air quality based on weather conditions and humidity
-        const airQuality = this.calculateAirQuality(currentData);
+        // Measured air quality when available, otherwise the weather-based estimate
+        const airQuality = extras.airPollution
+            ? this.processAirPollutionData(extras.airPollution.current, extras.airPollution.forecast)
+            : this.buildEstimatedAirQuality(this.calculateAirQuality(currentData));
 
-        return {
+        const weatherData = {
             location: {
                 name: location.name || 'Unknown',
-                region: '',
+                region: location.region || '',
                 country: location.country || '',
-                lat: location.lat || currentData.coord?.lat || 0,
-                lon: location.lon || currentData.coord?.lon || 0,
-                tz_id: 'UTC',
+                station: location.station || '',
+                lat: lat,
+                lon: lon,
+                tz_id: this.formatUtcOffset(utcOffset),
+                utc_offset_seconds: utcOffset,
                 localtime_epoch: currentData.dt,
-                localtime: new Date(currentData.dt * 1000).toISOString().slice(0, 19).replace('T', ' ')
+                localtime: this.formatLocationDateTime(currentData.dt, utcOffset)
             },
             current: {
                 last_updated_epoch: currentData.dt,
-                last_updated: new Date(currentData.dt * 1000).toISOString().slice(0, 19).replace('T', ' '),
+                last_updated: this.formatLocationDateTime(currentData.dt, utcOffset),
                 temp_c: Math.round(currentData.main?.temp || 0),
                 temp_f: this.convertCelsiusToFahrenheit(currentData.main?.temp || 0),
-                is_day: currentData.dt > currentData.sys?.sunrise && currentData.dt < currentData.sys?.sunset,
+                is_day: isDay,
                 condition: {
                     text: currentData.weather && currentData.weather[0] ? currentData.weather[0].description : 'Unknown',
-                    icon: this.getWeatherIcon(currentData.weather && currentData.weather[0] ? currentData.weather[0].main : 'Unknown', currentData.weather && currentData.weather[0] ? currentData.weather[0].description : ''),
+                    icon: this.getWeatherIcon(currentData.weather && currentData.weather[0] ? currentData.weather[0].main : 'Unknown', currentData.weather && currentData.weather[0] ? currentData.weather[0].description : '', { isDay }),
                     code: currentData.weather && currentData.weather[0] ? currentData.weather[0].id : 1000
                 },
                 wind_mph: this.convertMpsToMph(currentData.wind?.speed || 0),
@@ -159,6 +606,7 @@ class WeatherService {
                 vis_km: (currentData.visibility || 10000) / 1000,
                 vis_miles: this.convertKmToMiles((currentData.visibility || 10000) / 1000),
                 uv: uvIndex,
+                uv_source: 'estimated',
                 gust_mph: this.convertMpsToMph(currentData.wind?.gust || 0),
                 gust_kph: this.convertMpsToKph(currentData.wind?.gust || 0),
                 air_quality: airQuality
@@ -166,42 +614,120 @@ class WeatherService {
             forecast: {
                 forecastday: processedForecast.daily
             },
-            hourly: processedForecast.hourly
+            hourly: processedForecast.hourly,
+            alerts: extras.alerts || []
         };
+
+        if (extras.openMeteo) {
+            this.applyUvData(weatherData, extras.openMeteo);
+            this.appendOpenMeteoDays(weatherData, extras.openMeteo);
+        }
+
+        return weatherData;
     }
 
-    processForecastData(forecastData, currentData = null) {
+    /**
+     * The 5 day / 3 hour forecast ends after about five days; continue it with
+     * Open-Meteo's daily forecast so longer ranges are real data, not padding
+     */
+    appendOpenMeteoDays(weatherData, openMeteoData) {
+        if (!openMeteoData.daily || !openMeteoData.daily.weather_code) return;
+
+        const utcOffset = openMeteoData.utc_offset_seconds ?? weatherData.location.utc_offset_seconds ?? 0;
+        const extended = new window.WeatherProviders['open-meteo'](this)
+            .normalizeDaily(openMeteoData.daily, utcOffset, weatherData.location);
+        const days = weatherData.forecast.forecastday;
+
+        // The last 3-hourly day is usually cut off part-way; prefer a complete day, keeping its hours
+        const last = days[days.length - 1];
+        const replacement = last ? extended.find(day => day.date === last.date) : null;
+        if (days.length > 1 && last.hour.length < 8 && replacement) {
+            replacement.hour = last.hour;
+            days.pop();
+        }
+
+        const lastDate = days.length > 0 ? days[days.length - 1].date : '';
+        days.push(...extended.filter(day => day.date > lastDate));
+    }
+
+    /**
+     * Overwrite estimated UV values with reported ones from an Open-Meteo style
+     * { hourly: { time, uv_index }, daily: { time, uv_index_max } } response
+     */
+    applyUvData(weatherData, uvData) {
+        const utcOffset = weatherData.location.utc_offset_seconds || 0;
+        const hourlyUv = new Map();
+        (uvData.hourly?.time || []).forEach((time, i) => {
+            if (uvData.hourly.uv_index[i] !== null && uvData.hourly.uv_index[i] !== undefined) {
+                hourlyUv.set(time, uvData.hourly.uv_index[i]);
+            }
+        });
+        const dailyUv = new Map();
+        (uvData.daily?.time || []).forEach((time, i) => {
+            if (uvData.daily.uv_index_max[i] !== null && uvData.daily.uv_index_max[i] !== undefined) {
+                dailyUv.set(this.getLocationDateKey(time, uvData.utc_offset_seconds ?? utcOffset), uvData.daily.uv_index_max[i]);
+            }
+        });
+
+        const hourStart = epoch => Math.floor(epoch / 3600) * 3600;
+        const currentUv = hourlyUv.get(hourStart(weatherData.current.last_updated_epoch));
+        if (currentUv !== undefined) {
+            weatherData.current.uv = Math.round(currentUv);
+            weatherData.current.uv_source = 'reported';
+        }
+
+        const applyHourlyUv = hour => {
+            const uv = hourlyUv.get(hourStart(hour.time));
+            if (uv !== undefined) {
+                hour.uv = Math.round(uv);
+            }
+        };
+        weatherData.hourly.forEach(applyHourlyUv);
+
+        weatherData.forecast.forecastday.forEach(day => {
+            if (dailyUv.has(day.date)) {
+                day.day.uv = Math.round(dailyUv.get(day.date));
+            }
+            (day.hour || []).forEach(applyHourlyUv);
+        });
+    }
+
+    processForecastData(forecastData, currentData = null, utcOffset = 0) {
         if (!forecastData || !forecastData.list) {
             return {
-                daily: [this.generateTodayForecast()],
-                hourly: this.generateHourlyData()
+                daily: [],
+                hourly: this.generateHourlyData(currentData?.coord?.lat, currentData?.coord?.lon)
             };
         }
 
         // Process hourly data
-        const hourlyData = this.processHourlyData(forecastData.list, currentData);
+        const coord = forecastData.city?.coord || currentData?.coord || { lat: 0, lon: 0 };
+        const hourlyData = this.processHourlyData(forecastData.list, currentData, utcOffset, coord);
 
-        // Group forecast data by day
+        // Group forecast data by the location's calendar day
         const dailyData = {};
         forecastData.list.forEach(item => {
-            const date = new Date(item.dt * 1000).toISOString().split('T')[0];
+            const date = this.getLocationDateKey(item.dt, utcOffset);
             if (!dailyData[date]) {
                 dailyData[date] = {
                     date: date,
                     date_epoch: item.dt,
                     temps: [],
                     weather: [],
+                    clouds: [],
                     humidity: [],
+                    visibility: [],
                     wind_speed: [],
                     rain_chance: [],
                     precip: [],
-                    sunrise: forecastData.city?.sunrise,
-                    sunset: forecastData.city?.sunset
+                    points: []
                 };
             }
             dailyData[date].temps.push(item.main.temp);
             dailyData[date].weather.push(item.weather[0]);
+            dailyData[date].clouds.push(item.clouds?.all || 0);
             dailyData[date].humidity.push(item.main.humidity);
+            dailyData[date].visibility.push(item.visibility);
             dailyData[date].wind_speed.push(item.wind.speed);
             
             // Calculate rain chance based on weather condition and humidity
@@ -211,25 +737,21 @@ class WeatherService {
             // Add precipitation data
             const precip = item.rain ? (item.rain['3h'] || 0) : 0;
             dailyData[date].precip.push(precip);
+            dailyData[date].points.push(this.toHourlyPoint(item, 3));
         });
 
-        // Convert to array and ensure we have 7 days
-        let dailyForecast = Object.values(dailyData).map(day => {
-            // Calculate UV index for this day based on weather conditions
-            const avgCloudCover = day.weather.reduce((sum, w) => {
-                const cloudMap = {
-                    'Clear': 0, 'Clouds': 50, 'Rain': 80, 'Thunderstorm': 90,
-                    'Snow': 70, 'Atmosphere': 60, 'Drizzle': 70
-                };
-                return sum + (cloudMap[w.main] || 30);
-            }, 0) / day.weather.length;
-            
-            const avgWeather = day.weather[0]?.main || 'Clear';
-            const dayUV = this.calculateDayUVIndex(avgWeather, avgCloudCover);
+        const dailyForecast = Object.values(dailyData).map(day => {
+            // Peak UV for the day from solar elevation, attenuated by the day's mean cloud cover
+            const avgCloudCover = day.clouds.reduce((a, b) => a + b, 0) / day.clouds.length;
+            const dayUV = this.estimateDayUVIndex(day.date, utcOffset, coord.lat, coord.lon, avgCloudCover);
+            // OpenWeatherMap leaves out visibility it did not measure, so the mean can be null
+            const visibility = this.average(day.visibility);
+            const astro = this.buildAstro(day.date, utcOffset, coord.lat, coord.lon);
             
             return {
                 date: day.date,
                 date_epoch: day.date_epoch,
+                source: 'openweathermap',
                 day: {
                     maxtemp_c: Math.round(Math.max(...day.temps)),
                     maxtemp_f: this.convertCelsiusToFahrenheit(Math.max(...day.temps)),
@@ -241,8 +763,8 @@ class WeatherService {
                     maxwind_kph: this.convertMpsToKph(Math.max(...day.wind_speed)),
                     totalprecip_mm: Math.round(day.precip.reduce((a, b) => a + b, 0) * 10) / 10,
                     totalprecip_in: this.convertMmToInches(Math.round(day.precip.reduce((a, b) => a + b, 0) * 10) / 10),
-                    avgvis_km: 10,
-                    avgvis_miles: 6,
+                    avgvis_km: visibility !== null ? Math.round(visibility / 100) / 10 : null,
+                    avgvis_miles: visibility !== null ? this.convertKmToMiles(visibility / 1000) : null,
                     avghumidity: Math.round(day.humidity.reduce((a, b) => a + b, 0) / day.humidity.length),
                     daily_will_it_rain: Math.max(...day.rain_chance) > 50 ? 1 : 0,
                     daily_chance_of_rain: Math.round(Math.max(...day.rain_chance)),
@@ -250,42 +772,24 @@ class WeatherService {
                     daily_chance_of_snow: 0,
                     condition: {
                         text: day.weather[0]?.description || 'Unknown',
-                        icon: this.getWeatherIcon(day.weather[0]?.main || 'Unknown', day.weather[0]?.description || ''),
+                        icon: this.getWeatherIcon(day.weather[0]?.main || 'Unknown', day.weather[0]?.description || '', {
+                            time: this.getLocationNoon(day.date, utcOffset),
+                            astro,
+                            lat: coord.lat,
+                            lon: coord.lon
+                        }),
                         code: day.weather[0]?.id || 1000
                     },
                     uv: dayUV
                 },
-                astro: {
-                    sunrise: day.sunrise ? new Date(day.sunrise * 1000).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true }) : '06:00 AM',
-                    sunset: day.sunset ? new Date(day.sunset * 1000).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true }) : '06:00 PM',
-                    moonrise: '12:00 AM',
-                    moonset: '12:00 PM',
-                    moon_phase: 'New Moon',
-                    moon_illumination: '0'
-                },
-                hour: []
+                astro: astro,
+                // The forecast list is 3-hourly, so each entry covers the following three hours
+                hour: day.points
+                    .sort((a, b) => a.time - b.time)
+                    .map(point => this.buildHourEntry(point, coord, 3))
             };
         });
 
-        // If we have less than 7 days, generate additional days
-        if (dailyForecast.length < 7) {
-            const today = new Date();
-            for (let i = dailyForecast.length; i < 7; i++) {
-                const forecastDate = new Date(today);
-                forecastDate.setDate(today.getDate() + i);
-                
-                // Generate a basic forecast day
-                const additionalDay = this.generateTodayForecast();
-                additionalDay.date = forecastDate.toISOString().split('T')[0];
-                additionalDay.date_epoch = Math.floor(forecastDate.getTime() / 1000);
-                
-                dailyForecast.push(additionalDay);
-            }
-        }
-
-        // Ensure we only return 7 days
-        dailyForecast = dailyForecast.slice(0, 7);
-
         return {
             daily: dailyForecast,
             hourly: hourlyData
@@ -293,99 +797,170 @@ class WeatherService {
     }
 
     /**
-     * Process hourly forecast data
+     * Build an hourly series from the 3-hourly forecast list.
+     * Hour 0 is the current observation; later hours are linearly interpolated
+     * between the surrounding points by absolute timestamp.
      */
-    processHourlyData(forecastList, currentData) {
+    processHourlyData(forecastList, currentData, utcOffset = 0, coord = { lat: 0, lon: 0 }) {
+        let points = forecastList
+            .map(item => this.toHourlyPoint(item, 3))
+            .sort((a, b) => a.time - b.time);
+
+        if (currentData && currentData.main) {
+            const currentPoint = this.toHourlyPoint(currentData, 1);
+            points = points.filter(point => point.time > currentPoint.time);
+            // The current observation carries no precipitation probability
+            currentPoint.pop = points.length > 0 ? points[0].pop : 0;
+            points.unshift(currentPoint);
+        }
+
+        if (points.length === 0) {
+            return [];
+        }
+
+        const startTime = Math.floor(points[0].time / 3600) * 3600;
+        const lastTime = points[points.length - 1].time;
         const hourlyData = [];
-        const now = new Date();
-        const currentHour = now.getHours();
-
-        // Get next 24 hours of data
-        for (let i = 0; i < 24; i++) {
-            const targetHour = (currentHour + i) % 24;
-            const targetTime = new Date(now);
-            targetTime.setHours(targetHour, 0, 0, 0);
-
-            // Find the closest forecast data for this hour
-            let closestForecast = null;
-            let minDiff = Infinity;
-
-            forecastList.forEach(item => {
-                const itemTime = new Date(item.dt * 1000);
-                const diff = Math.abs(itemTime.getHours() - targetHour);
-                if (diff < minDiff) {
-                    minDiff = diff;
-                    closestForecast = item;
-                }
-            });
 
-            if (closestForecast) {
-                const temp = closestForecast.main.temp;
-                const weather = closestForecast.weather[0];
-                const humidity = closestForecast.main.humidity;
-                const windSpeed = closestForecast.wind.speed;
-                const pop = closestForecast.pop || 0; // Probability of precipitation
-                
-                // Calculate UV index for this hour
-                const hourUV = this.calculateHourlyUVIndex(targetHour, weather.main, closestForecast.clouds?.all || 0);
-
-                hourlyData.push({
-                    time: targetTime.getTime() / 1000,
-                    temp_c: Math.round(temp),
-                    temp_f: this.convertCelsiusToFahrenheit(temp),
-                    condition: {
-                        text: weather.description,
-                        icon: this.getWeatherIcon(weather.main, weather.description),
-                        code: weather.id
-                    },
-                    wind_kph: this.convertMpsToKph(windSpeed),
-                    wind_mph: this.convertMpsToMph(windSpeed),
-                    wind_dir: this.getWindDirection(closestForecast.wind.deg),
-                    humidity: humidity,
-                    chance_of_rain: Math.round(pop * 100),
-                    precip_mm: closestForecast.rain ? (closestForecast.rain['1h'] || 0) : 0,
-                    precip_in: this.convertMmToInches(closestForecast.rain ? (closestForecast.rain['1h'] || 0) : 0),
-                    feelslike_c: Math.round(closestForecast.main.feels_like || temp),
-                    feelslike_f: this.convertCelsiusToFahrenheit(closestForecast.main.feels_like || temp),
-                    vis_km: (closestForecast.visibility || 10000) / 1000,
-                    vis_miles: this.convertKmToMiles((closestForecast.visibility || 10000) / 1000),
-                    uv: hourUV
-                });
-            }
+        for (let i = 0; i < this.hourlyHours; i++) {
+            const time = startTime + i * 3600;
+            if (time > lastTime) break;
+
+            // Hour 0 uses the anchoring observation as-is
+            const point = i === 0 ? points[0] : this.interpolateHourlyPoint(points, time);
+            hourlyData.push(this.buildHourEntry({ ...point, time }, coord, 1));
         }
 
         return hourlyData;
     }
 
     /**
-     * Generate demo hourly data
+     * Normalized hour entry from a flattened point; precipitation is the
+     * amount expected over the `periodHours` that follow `point.time`
+     */
+    buildHourEntry(point, coord, periodHours = 1) {
+        const precip = point.precipRate * periodHours;
+
+        return {
+            time: point.time,
+            period_hours: periodHours,
+            temp_c: Math.round(point.temp),
+            temp_f: this.convertCelsiusToFahrenheit(point.temp),
+            condition: {
+                text: point.weather.description,
+                icon: this.getWeatherIcon(point.weather.main, point.weather.description, { time: point.time, lat: coord.lat, lon: coord.lon }),
+                code: point.weather.id
+            },
+            wind_kph: this.convertMpsToKph(point.windSpeed),
+            wind_mph: this.convertMpsToMph(point.windSpeed),
+            wind_degree: Math.round(point.windDeg),
+            wind_dir: this.getWindDirection(point.windDeg),
+            gust_kph: this.convertMpsToKph(point.windGust),
+            gust_mph: this.convertMpsToMph(point.windGust),
+            pressure_mb: Math.round(point.pressure),
+            pressure_in: this.convertMbToInches(point.pressure),
+            humidity: Math.round(point.humidity),
+            chance_of_rain: Math.round(point.pop * 100),
+            precip_mm: Math.round(precip * 10) / 10,
+            precip_in: this.convertMmToInches(precip),
+            feelslike_c: Math.round(point.feelsLike),
+            feelslike_f: this.convertCelsiusToFahrenheit(point.feelsLike),
+            vis_km: point.visibility / 1000,
+            vis_miles: this.convertKmToMiles(point.visibility / 1000),
+            uv: this.estimateUVIndex(point.time, coord.lat, coord.lon, point.clouds)
+        };
+    }
+
+    /**
+     * Flatten an OpenWeatherMap weather/forecast item into the values we interpolate
+     */
+    toHourlyPoint(item, periodHours) {
+        const rain = item.rain ? (item.rain[`${periodHours}h`] || 0) : 0;
+        const snow = item.snow ? (item.snow[`${periodHours}h`] || 0) : 0;
+
+        return {
+            time: item.dt,
+            temp: item.main.temp,
+            feelsLike: item.main.feels_like ?? item.main.temp,
+            humidity: item.main.humidity,
+            windSpeed: item.wind?.speed || 0,
+            windGust: item.wind?.gust ?? item.wind?.speed ?? 0,
+            windDeg: item.wind?.deg || 0,
+            pressure: item.main.pressure || 1013,
+            pop: item.pop || 0,
+            clouds: item.clouds?.all || 0,
+            visibility: item.visibility || 10000,
+            precipRate: (rain + snow) / periodHours,
+            weather: item.weather && item.weather[0] ? item.weather[0] : { main: 'Unknown', description: 'Unknown', id: 1000 }
+        };
+    }
+
+    /**
+     * Linearly interpolate between the two points surrounding a timestamp
+     */
+    interpolateHourlyPoint(points, time) {
+        const nextIndex = points.findIndex(point => point.time >= time);
+        if (nextIndex <= 0) {
+            return points[Math.max(nextIndex, 0)];
+        }
+
+        const prev = points[nextIndex - 1];
+        const next = points[nextIndex];
+        const ratio = (time - prev.time) / (next.time - prev.time);
+        const lerp = (a, b) => a + (b - a) * ratio;
+
+        // Interpolate wind direction along the shortest arc
+        const degDiff = ((next.windDeg - prev.windDeg + 540) % 360) - 180;
+
+        return {
+            time: time,
+            temp: lerp(prev.temp, next.temp),
+            feelsLike: lerp(prev.feelsLike, next.feelsLike),
+            humidity: lerp(prev.humidity, next.humidity),
+            windSpeed: lerp(prev.windSpeed, next.windSpeed),
+            windGust: lerp(prev.windGust, next.windGust),
+            windDeg: (prev.windDeg + degDiff * ratio + 360) % 360,
+            pressure: lerp(prev.pressure, next.pressure),
+            pop: lerp(prev.pop, next.pop),
+            clouds: lerp(prev.clouds, next.clouds),
+            visibility: lerp(prev.visibility, next.visibility),
+            // Precipitation falls within the forecast period ending at the next point
+            precipRate: next.precipRate,
+            weather: ratio < 0.5 ? prev.weather : next.weather
+        };
+    }
+
+    /**
+     * Generate demo hourly data, with day and night taken from the sun at `lat`/`lon`
      */
-    generateHourlyData() {
+    generateHourlyData(lat = 0, lon = 0) {
         const hourlyData = [];
-        const now = new Date();
-        const currentHour = now.getHours();
+        const startTime = new Date();
+        startTime.setMinutes(0, 0, 0);
 
-        for (let i = 0; i < 24; i++) {
-            const targetHour = (currentHour + i) % 24;
-            const targetTime = new Date(now);
-            targetTime.setHours(targetHour, 0, 0, 0);
+        for (let i = 0; i < this.hourlyHours; i++) {
+            const targetTime = new Date(startTime.getTime() + i * 3600 * 1000);
+            const targetHour = targetTime.getHours();
 
             // Generate realistic demo data
             const baseTemp = 22;
             const tempVariation = Math.sin((targetHour - 6) * Math.PI / 12) * 8; // Temperature varies throughout the day
             const temp = baseTemp + tempVariation;
+            const time = targetTime.getTime() / 1000;
+            const isDay = this.isDaytime({ time, lat, lon });
 
             hourlyData.push({
-                time: targetTime.getTime() / 1000,
+                time: time,
                 temp_c: Math.round(temp),
                 temp_f: this.convertCelsiusToFahrenheit(temp),
                 condition: {
-                    text: targetHour >= 6 && targetHour <= 18 ? 'Sunny' : 'Clear',
-                    icon: targetHour >= 6 && targetHour <= 18 ? 'fas fa-sun' : 'fas fa-moon',
-                    code: targetHour >= 6 && targetHour <= 18 ? 1000 : 1000
+                    text: isDay ? 'Sunny' : 'Clear',
+                    icon: isDay ? 'fas fa-sun' : 'fas fa-moon',
+                    code: 1000
                 },
                 wind_kph: 8 + Math.random() * 5,
                 wind_mph: this.convertMpsToMph(8 + Math.random() * 5),
+                wind_degree: 135,
                 wind_dir: 'SE',
                 humidity: 40 + Math.random() * 30,
                 chance_of_rain: Math.random() > 0.8 ? Math.round(Math.random() * 30) : 0,
@@ -402,6 +977,37 @@ class WeatherService {
         return hourlyData;
     }
 
+    /**
+     * Estimate the UV index from solar elevation and cloud cover.
+     * Clear-sky UVI ≈ 12.5·cos(zenith)^2.42, attenuated by a Kasten–Czeplak cloud factor.
+     */
+    estimateUVIndex(epoch, lat, lon, cloudCover = 0) {
+        const elevation = this.astronomy.getSolarElevation(epoch, lat, lon);
+        if (elevation <= 0) {
+            return 0;
+        }
+
+        const cosZenith = Math.sin(elevation * Math.PI / 180);
+        const clearSkyUV = 12.5 * Math.pow(cosZenith, 2.42);
+        const cloudFactor = 1 - 0.75 * Math.pow(Math.min(Math.max(cloudCover, 0), 100) / 100, 3.4);
+
+        return Math.round(clearSkyUV * cloudFactor);
+    }
+
+    /**
+     * Peak UV index over a location's calendar day
+     */
+    estimateDayUVIndex(dateKey, utcOffset, lat, lon, cloudCover = 0) {
+        const dayStart = Date.parse(`${dateKey}T00:00:00Z`) / 1000 - utcOffset;
+        let peak = 0;
+
+        for (let minutes = 0; minutes < 24 * 60; minutes += 30) {
+            peak = Math.max(peak, this.estimateUVIndex(dayStart + minutes * 60, lat, lon, cloudCover));
+        }
+
+        return peak;
+    }
+
     /**
      * Calculate rain chance based on weather condition, humidity, and precipitation probability
      */
@@ -441,49 +1047,54 @@ class WeatherService {
         return Math.min(Math.round(rainChance), 100);
     }
 
-    generateTodayForecast(currentData) {
-        const today = new Date();
-        return {
-            date: today.toISOString().split('T')[0],
-            date_epoch: Math.floor(today.getTime() / 1000),
-            day: {
-                maxtemp_c: 25,
-                maxtemp_f: 77,
-                mintemp_c: 18,
-                mintemp_f: 64,
-                avgtemp_c: 22,
-                avgtemp_f: 72,
-                maxwind_mph: 8,
-                maxwind_kph: 13,
-                totalprecip_mm: 0,
-                totalprecip_in: 0,
-                avgvis_km: 10,
-                avgvis_miles: 6,
-                avghumidity: 50,
-                daily_will_it_rain: 0,
-                daily_chance_of_rain: 0,
-                daily_will_it_snow: 0,
-                daily_chance_of_snow: 0,
-                condition: {
-                    text: 'Sunny',
-                    icon: 'fas fa-sun',
-                    code: 1000
-                },
-                uv: 5
-            },
-            astro: {
-                sunrise: '06:00 AM',
-                sunset: '06:00 PM',
-                moonrise: '12:00 AM',
-                moonset: '12:00 PM',
-                moon_phase: 'New Moon',
-                moon_illumination: '0'
-            },
-            hour: []
-        };
+    /**
+     * Map a free-text condition onto an OpenWeatherMap-style group
+     */
+    getConditionGroup(text) {
+        const condition = text.toLowerCase();
+        if (condition.includes('thunder')) return 'Thunderstorm';
+        if (condition.includes('snow') || condition.includes('sleet') || condition.includes('blizzard') || condition.includes('ice')) return 'Snow';
+        if (condition.includes('rain') || condition.includes('drizzle') || condition.includes('shower')) return 'Rain';
+        if (condition.includes('fog') || condition.includes('mist') || condition.includes('haze')) return 'Atmosphere';
+        if (condition.includes('cloud') || condition.includes('overcast')) return 'Clouds';
+        return 'Clear';
     }
 
-    getWeatherIcon(main, description) {
+    /**
+     * Icon for a normalized condition; `daylight` is passed to isDaytime
+     */
+    getConditionIcon(condition, daylight = {}) {
+        const text = condition.text || '';
+        return this.getWeatherIcon(this.getConditionGroup(text), text, daylight);
+    }
+
+    /**
+     * Whether the sun is up at `time` (epoch seconds, default now). A provider's
+     * `isDay` wins, then the day's `astro` sunrise and sunset; polar days have
+     * neither, so the sun's elevation at `lat`/`lon` decides
+     */
+    isDaytime({ time = Math.floor(Date.now() / 1000), isDay = null, astro = null, lat = null, lon = null } = {}) {
+        if (typeof isDay === 'boolean') return isDay;
+        if (astro && astro.sunrise_epoch != null && astro.sunset_epoch != null) {
+            return time >= astro.sunrise_epoch && time < astro.sunset_epoch;
+        }
+        if (Number.isFinite(lat) && Number.isFinite(lon)) {
+            return this.astronomy.isSunUp(time, lat, lon);
+        }
+        return true;
+    }
+
+    /**
+     * Daylight inputs for `time` in a payload: the astro of that local day and the location
+     */
+    getDaylight(weatherData, time) {
+        const location = weatherData.location;
+        const dateKey = this.getLocationDateKey(time, location.utc_offset_seconds || 0);
+        const day = (weatherData.forecast?.forecastday || []).find(item => item.date === dateKey);
+        return { time, astro: day ? day.astro : null, lat: location.lat, lon: location.lon };
+    }
+
+    getWeatherIcon(main, description, daylight = {}) {
         if (!main || main === 'Unknown') return 'fas fa-cloud';
         
         const desc = description ? description.toLowerCase() : '';
@@ -520,8 +1131,7 @@ class WeatherService {
         
         // Clear
         if (main === 'Clear') {
-            const hour = new Date().getHours();
-            if (hour >= 6 && hour <= 18) {
+            if (this.isDaytime(daylight)) {
                 return 'fas fa-sun';
             } else {
                 return 'fas fa-moon';
@@ -531,8 +1141,7 @@ class WeatherService {
         // Clouds
         if (main === 'Clouds') {
             if (desc.includes('few') || desc.includes('scattered')) {
-                const hour = new Date().getHours();
-                if (hour >= 6 && hour <= 18) {
+                if (this.isDaytime(daylight)) {
                     return 'fas fa-cloud-sun';
                 } else {
                     return 'fas fa-cloud-moon';
@@ -557,6 +1166,10 @@ class WeatherService {
         return Math.round(celsius * 9 / 5 + 32);
     }
 
+    convertCelsiusToKelvin(celsius) {
+        return Math.round(celsius + 273.15);
+    }
+
     convertFahrenheitToCelsius(fahrenheit) {
         return Math.round((fahrenheit - 32) * 5 / 9);
     }
@@ -577,10 +1190,31 @@ class WeatherService {
         return Math.round(kph / 1.60934);
     }
 
+    convertKphToMps(kph) {
+        return Math.round(kph / 3.6 * 10) / 10;
+    }
+
+    convertKphToKnots(kph) {
+        return Math.round(kph / 1.852);
+    }
+
+    /**
+     * Beaufort force from the upper km/h bound of each scale step
+     */
+    convertKphToBeaufort(kph) {
+        const limits = [1, 6, 12, 20, 29, 39, 50, 62, 75, 89, 103, 118];
+        const force = limits.findIndex(limit => kph < limit);
+        return force === -1 ? 12 : force;
+    }
+
     convertMbToInches(mb) {
         return Math.round(mb * 0.02953 * 100) / 100;
     }
 
+    convertMbToMmHg(mb) {
+        return Math.round(mb * 0.750062);
+    }
+
     convertMmToInches(mm) {
         return Math.round(mm * 0.03937 * 100) / 100;
     }
@@ -589,9 +1223,121 @@ class WeatherService {
         return Math.round(km * 0.621371 * 10) / 10;
     }
 
-    isDayTime() {
-        const hour = new Date().getHours();
-        return hour >= 6 && hour < 18;
+    /**
+     * Mean of the finite values, or null when there are none
+     */
+    average(values) {
+        const finite = values.filter(value => Number.isFinite(value));
+        return finite.length > 0 ? finite.reduce((a, b) => a + b, 0) / finite.length : null;
+    }
+
+    /**
+     * Shift an epoch into a location's wall-clock time. Read the result with UTC
+     * getters or timeZone: 'UTC' so the browser's own zone is never applied.
+     */
+    toLocationDate(epoch, utcOffset = 0) {
+        return new Date((epoch + utcOffset) * 1000);
+    }
+
+    formatLocationTime(epoch, utcOffset = 0, options = {}) {
+        return this.toLocationDate(epoch, utcOffset).toLocaleString('en-US', { ...options, timeZone: 'UTC' });
+    }
+
+    formatLocationDateTime(epoch, utcOffset = 0) {
+        return this.toLocationDate(epoch, utcOffset).toISOString().slice(0, 19).replace('T', ' ');
+    }
+
+    getLocationDateKey(epoch, utcOffset = 0) {
+        return this.toLocationDate(epoch, utcOffset).toISOString().split('T')[0];
+    }
+
+    getLocationHour(epoch, utcOffset = 0) {
+        return this.toLocationDate(epoch, utcOffset).getUTCHours();
+    }
+
+    /**
+     * Epoch of noon on a location's calendar day ("YYYY-MM-DD")
+     */
+    getLocationNoon(dateKey, utcOffset = 0) {
+        return Date.parse(`${dateKey}T12:00:00Z`) / 1000 - utcOffset;
+    }
+
+    /**
+     * Offset of the viewer's browser from UTC in seconds
+     */
+    getViewerUtcOffset() {
+        return -new Date().getTimezoneOffset() * 60;
+    }
+
+    /**
+     * Label for a point no place name is known for, e.g. "40.71°N, 74.01°W"
+     */
+    formatCoordinates(lat, lon) {
+        const latitude = `${Math.abs(lat).toFixed(2)}°${lat < 0 ? 'S' : 'N'}`;
+        const longitude = `${Math.abs(lon).toFixed(2)}°${lon < 0 ? 'W' : 'E'}`;
+        return `${latitude}, ${longitude}`;
+    }
+
+    formatUtcOffset(utcOffset) {
+        const sign = utcOffset < 0 ? '-' : '+';
+        const minutes = Math.abs(Math.round(utcOffset / 60));
+        const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+        return `UTC${sign}${hours}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    formatAstroTime(epoch, utcOffset = 0) {
+        return this.formatLocationTime(epoch, utcOffset, { hour: '2-digit', minute: '2-digit', hour12: true });
+    }
+
+    /**
+     * Compute the astro block for a location's calendar day. Rise/set times
+     * keep the WeatherAPI-style display strings alongside their epochs; the
+     * twilight, golden hour and blue hour ranges are epochs only (null when
+     * the sun never reaches that altitude).
+     */
+    buildAstro(dateKey, utcOffset, lat, lon) {
+        const sun = this.astronomy.getSunTimes(dateKey, utcOffset, lat, lon);
+        const moon = this.astronomy.getMoonTimes(dateKey, utcOffset, lat, lon);
+        const illumination = this.astronomy.getMoonIllumination(this.astronomy.getLocalNoon(dateKey, utcOffset));
+        const dayLength = this.astronomy.getDayLength(sun, lat, lon);
+
+        const sunFallback = dayLength > 0 ? 'No sunset' : 'No sunrise';
+        const formatOr = (epoch, fallback) => epoch !== null ? this.formatAstroTime(epoch, utcOffset) : fallback;
+
+        return {
+            sunrise: formatOr(sun.sunrise, sunFallback),
+            sunset: formatOr(sun.sunset, sunFallback),
+            sunrise_epoch: sun.sunrise,
+            sunset_epoch: sun.sunset,
+            solar_noon: this.formatAstroTime(sun.solarNoon, utcOffset),
+            solar_noon_epoch: sun.solarNoon,
+            day_length: dayLength,
+            twilight: {
+                civil: { dawn: sun.civilDawn, dusk: sun.civilDusk },
+                nautical: { dawn: sun.nauticalDawn, dusk: sun.nauticalDusk },
+                astronomical: { dawn: sun.astronomicalDawn, dusk: sun.astronomicalDusk }
+            },
+            golden_hour: {
+                morning: { start: sun.blueHourEnd, end: sun.goldenHourEnd },
+                evening: { start: sun.goldenHourStart, end: sun.blueHourStart }
+            },
+            blue_hour: {
+                morning: { start: sun.civilDawn, end: sun.blueHourEnd },
+                evening: { start: sun.blueHourStart, end: sun.civilDusk }
+            },
+            moonrise: formatOr(moon.rise, 'No moonrise'),
+            moonset: formatOr(moon.set, 'No moonset'),
+            moonrise_epoch: moon.rise,
+            moonset_epoch: moon.set,
+            moon_phase: this.astronomy.getMoonPhaseName(illumination.phase),
+            moon_phase_value: Math.round(illumination.phase * 1000) / 1000,
+            moon_illumination: String(Math.round(illumination.fraction * 100))
+        };
+    }
+
+    formatDayLength(seconds) {
+        const minutes = Math.round(seconds / 60);
+        return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
     }
 
     getWeatherCode(condition) {
@@ -607,11 +1353,16 @@ class WeatherService {
     }
 
     generateDemoData(location = 'Demo City') {
-        // Generate 7 days of forecast data
+        // Generate the selected number of forecast days
         const forecastDays = [];
         const today = new Date();
+
+        // Demo data has no real place; put it on the equator at the viewer's
+        // meridian so computed sun and moon times land at sensible local hours
+        const viewerOffset = this.getViewerUtcOffset();
+        const demoLon = Math.max(-180, Math.min(180, viewerOffset / 240));
         
-        for (let i = 0; i < 7; i++) {
+        for (let i = 0; i < this.forecastDays; i++) {
             const forecastDate = new Date(today);
             forecastDate.setDate(today.getDate() + i);
             
@@ -628,9 +1379,12 @@ class WeatherService {
             const selectedWeather = weatherConditions[Math.floor(Math.random() * weatherConditions.length)];
             const baseTemp = 22 + (Math.random() * 10 - 5); // Temperature variation
             
+            const date = this.getLocationDateKey(Math.floor(forecastDate.getTime() / 1000), viewerOffset);
+
             forecastDays.push({
-                date: forecastDate.toISOString().split('T')[0],
+                date: date,
                 date_epoch: Math.floor(forecastDate.getTime() / 1000),
+                source: 'demo',
                 day: {
                     maxtemp_c: Math.round(baseTemp + 5),
                     maxtemp_f: this.convertCelsiusToFahrenheit(baseTemp + 5),
@@ -656,38 +1410,36 @@ class WeatherService {
                     },
                     uv: 5 + Math.random() * 5
                 },
-                astro: {
-                    sunrise: '06:00 AM',
-                    sunset: '06:00 PM',
-                    moonrise: '12:00 AM',
-                    moonset: '12:00 PM',
-                    moon_phase: 'New Moon',
-                    moon_illumination: '0'
-                },
+                astro: this.buildAstro(date, viewerOffset, 0, demoLon),
                 hour: []
             });
         }
 
         // Generate realistic demo current weather data
         const currentHour = new Date().getHours();
-        const isDay = currentHour >= 6 && currentHour <= 18;
+        const isDay = this.isDaytime({ lat: 0, lon: demoLon });
         const demoUV = isDay ? (currentHour >= 10 && currentHour <= 16 ? 7 : 4) : 0;
-        const demoAirQuality = ['Good', 'Moderate', 'Good', 'Moderate', 'Good'][Math.floor(Math.random() * 5)];
+        const demoAirQuality = this.buildEstimatedAirQuality(['Good', 'Moderate', 'Good', 'Moderate', 'Good'][Math.floor(Math.random() * 5)]);
+
+        // Demo data is shown in the viewer's own time zone
+        const nowEpoch = Math.floor(new Date().getTime() / 1000);
 
         return {
+            demo: true,
             location: { 
                 name: location, 
                 region: '', 
                 country: '', 
                 lat: 0, 
-                lon: 0,
-                tz_id: 'UTC',
-                localtime_epoch: Math.floor(new Date().getTime() / 1000),
-                localtime: new Date().toISOString().slice(0, 19).replace('T', ' ')
+                lon: demoLon,
+                tz_id: this.formatUtcOffset(viewerOffset),
+                utc_offset_seconds: viewerOffset,
+                localtime_epoch: nowEpoch,
+                localtime: this.formatLocationDateTime(nowEpoch, viewerOffset)
             },
             current: {
-                last_updated_epoch: Math.floor(new Date().getTime() / 1000),
-                last_updated: new Date().toISOString().slice(0, 19).replace('T', ' '),
+                last_updated_epoch: nowEpoch,
+                last_updated: this.formatLocationDateTime(nowEpoch, viewerOffset),
                 temp_c: 22,
                 temp_f: 72,
                 is_day: isDay,
@@ -718,61 +1470,63 @@ class WeatherService {
             forecast: {
                 forecastday: forecastDays
             },
-            hourly: this.generateHourlyData()
+            hourly: this.generateHourlyData(0, demoLon),
+            alerts: []
         };
     }
 
     /**
-     * Calculate UV index based on time of day, cloud cover, and weather conditions
+     * Normalize OpenWeatherMap /air_pollution and /air_pollution/forecast responses
      */
-    calculateUVIndex(currentData) {
-        if (!currentData) return 0;
-
-        const now = new Date();
-        const hour = now.getHours();
-        const isDay = currentData.dt > currentData.sys?.sunrise && currentData.dt < currentData.sys?.sunset;
-        const cloudCover = currentData.clouds?.all || 0;
-        const weatherMain = currentData.weather && currentData.weather[0] ? currentData.weather[0].main : 'Clear';
-        
-        // Base UV index calculation
-        let uvIndex = 0;
-        
-        if (isDay) {
-            // Peak UV hours (10 AM - 4 PM)
-            if (hour >= 10 && hour <= 16) {
-                uvIndex = 8; // High UV during peak hours
-            } else if (hour >= 8 && hour <= 18) {
-                uvIndex = 5; // Moderate UV during day
-            } else {
-                uvIndex = 2; // Low UV during early/late day
-            }
-            
-            // Adjust for cloud cover
-            if (cloudCover > 80) {
-                uvIndex = Math.max(1, uvIndex - 4); // Heavy clouds reduce UV significantly
-            } else if (cloudCover > 50) {
-                uvIndex = Math.max(2, uvIndex - 2); // Moderate clouds reduce UV
-            } else if (cloudCover > 20) {
-                uvIndex = Math.max(3, uvIndex - 1); // Light clouds slightly reduce UV
-            }
-            
-            // Adjust for weather conditions
-            if (weatherMain === 'Rain' || weatherMain === 'Thunderstorm') {
-                uvIndex = Math.max(1, uvIndex - 3); // Rain reduces UV
-            } else if (weatherMain === 'Snow') {
-                uvIndex = Math.max(1, uvIndex - 2); // Snow can reflect UV but also block it
-            } else if (weatherMain === 'Atmosphere') {
-                uvIndex = Math.max(1, uvIndex - 2); // Fog/mist reduces UV
-            }
-        } else {
-            uvIndex = 0; // No UV at night
+    processAirPollutionData(currentData, forecastData = null) {
+        const entry = currentData && currentData.list ? currentData.list[0] : null;
+        if (!entry) {
+            return null;
         }
-        
-        return Math.round(uvIndex);
+
+        const labels = ['Good', 'Fair', 'Moderate', 'Poor', 'Very Poor'];
+        const components = entry.components || {};
+
+        return {
+            index: entry.main.aqi,
+            max_index: labels.length,
+            label: labels[entry.main.aqi - 1] || 'Unknown',
+            scale: 'OpenWeatherMap AQI',
+            source: 'measured',
+            components: {
+                pm2_5: components.pm2_5,
+                pm10: components.pm10,
+                o3: components.o3,
+                no2: components.no2,
+                so2: components.so2,
+                co: components.co
+            },
+            forecast: (forecastData && forecastData.list ? forecastData.list : []).map(item => ({
+                time: item.dt,
+                index: item.main.aqi,
+                label: labels[item.main.aqi - 1] || 'Unknown'
+            }))
+        };
     }
 
     /**
-     * Calculate air quality based on weather conditions, humidity, and visibility
+     * Wrap a heuristic air quality label so the UI can mark it as an estimate
+     */
+    buildEstimatedAirQuality(label) {
+        return {
+            index: null,
+            max_index: null,
+            label: label,
+            scale: null,
+            source: 'estimated',
+            components: null,
+            forecast: []
+        };
+    }
+
+    /**
+     * Estimate air quality from weather conditions, humidity, and visibility.
+     * Only used when no measured air pollution data is available.
      */
     calculateAirQuality(currentData) {
         if (!currentData) return 'Good';
@@ -843,84 +1597,19 @@ class WeatherService {
         
         return airQuality;
     }
+}
 
-    /**
-     * Calculate UV index for a day based on weather conditions and cloud cover
-     */
-    calculateDayUVIndex(weather, cloudCover) {
-        let uvIndex = 0;
-
-        // Base UV index calculation
-        if (weather === 'Clear') {
-            uvIndex = 10; // Sunny day
-        } else if (weather === 'Clouds') {
-            uvIndex = 5; // Cloudy day
-        } else if (weather === 'Rain') {
-            uvIndex = 8; // Rainy day
-        } else if (weather === 'Thunderstorm') {
-            uvIndex = 9; // Stormy day
-        } else if (weather === 'Snow') {
-            uvIndex = 7; // Snowy day
-        } else if (weather === 'Atmosphere') {
-            uvIndex = 6; // Foggy day
-        } else {
-            uvIndex = 3; // Overcast day
-        }
-
-        // Adjust for cloud cover
-        if (cloudCover > 80) {
-            uvIndex = Math.max(1, uvIndex - 4); // Heavy clouds reduce UV significantly
-        } else if (cloudCover > 50) {
-            uvIndex = Math.max(2, uvIndex - 2); // Moderate clouds reduce UV
-        } else if (cloudCover > 20) {
-            uvIndex = Math.max(3, uvIndex - 1); // Light clouds slightly reduce UV
-        }
-
-        return Math.round(uvIndex);
-    }
+WeatherService.FORECAST_LENGTHS = [3, 7, 10, 14];
+WeatherService.DEFAULT_FORECAST_DAYS = 7;
 
-    /**
-     * Calculate UV index for an hour based on time of day and weather conditions
-     */
-    calculateHourlyUVIndex(hour, weatherMain, cloudCover) {
-        let uvIndex = 0;
-        
-        // Only calculate UV during daylight hours
-        if (hour >= 6 && hour <= 18) {
-            // Peak UV hours (10 AM - 4 PM)
-            if (hour >= 10 && hour <= 16) {
-                uvIndex = 8; // High UV during peak hours
-            } else if (hour >= 8 && hour <= 18) {
-                uvIndex = 5; // Moderate UV during day
-            } else {
-                uvIndex = 2; // Low UV during early/late day
-            }
-            
-            // Adjust for weather conditions
-            if (weatherMain === 'Rain' || weatherMain === 'Thunderstorm') {
-                uvIndex = Math.max(1, uvIndex - 3); // Rain reduces UV
-            } else if (weatherMain === 'Snow') {
-                uvIndex = Math.max(1, uvIndex - 2); // Snow can reflect UV but also block it
-            } else if (weatherMain === 'Atmosphere') {
-                uvIndex = Math.max(1, uvIndex - 2); // Fog/mist reduces UV
-            } else if (weatherMain === 'Clouds') {
-                uvIndex = Math.max(1, uvIndex - 1); // Clouds reduce UV
-            }
-            
-            // Adjust for cloud cover
-            if (cloudCover > 80) {
-                uvIndex = Math.max(1, uvIndex - 4); // Heavy clouds reduce UV significantly
-            } else if (cloudCover > 50) {
-                uvIndex = Math.max(1, uvIndex - 2); // Moderate clouds reduce UV
-            } else if (cloudCover > 20) {
-                uvIndex = Math.max(1, uvIndex - 1); // Light clouds slightly reduce UV
-            }
-        } else {
-            uvIndex = 0; // No UV at night
-        }
-        
-        return Math.round(uvIndex);
-    }
-}
+// Statuses worth retrying on the same provider before failing over
+WeatherService.RETRYABLE_STATUSES = [408, 500, 502, 503, 504];
+WeatherService.SOURCE_NAMES = {
+    openweathermap: 'OpenWeatherMap',
+    weatherapi: 'WeatherAPI.com',
+    'open-meteo': 'Open-Meteo',
+    nws: 'National Weather Service',
+    demo: 'Demo data'
+};
 
 window.weatherService = new WeatherService(); 
\ No newline at end of file
@@ -0,0 +1,395 @@
+#!/usr/bin/env node
+/**
+ * WeatherWave Server
+ * Serves the app with http-server and proxies the weather APIs that need a key,
+ * adding the key here so no secret ever reaches the browser:
+ *
+ *   /api/weather, /api/forecast, /api/air-pollution,
+ *   /api/air-pollution/forecast, /api/alerts, /api/geocode,
+ *   /api/geocode/reverse                                        OpenWeatherMap
+ *   /api/weatherapi/forecast, /api/weatherapi/search            WeatherAPI.com (RapidAPI)
+ *
+ * Each client gets a token bucket of API requests (429 with Retry-After when it is
+ * empty), successful responses are kept in an LRU cache with a TTL per endpoint,
+ * and identical requests in flight at the same time share one upstream call.
+ *
+ * Also generates /config.js (provider settings only) and /manifest.webmanifest.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const httpServer = require('http-server');
+const LruCache = require('./server/lru-cache');
+const RateLimiter = require('./server/rate-limiter');
+
+const PORT = parseInt(process.env.PORT, 10) || 5000;
+const ROOT = __dirname;
+const UPSTREAM_TIMEOUT = 10000;
+
+// A page load makes about six API calls; favorites and comparisons add more
+const RATE_LIMIT_BURST = parseInt(process.env.RATE_LIMIT_BURST, 10) || 60;
+const RATE_LIMIT_PER_MINUTE = parseInt(process.env.RATE_LIMIT_PER_MINUTE, 10) || 60;
+const API_CACHE_SIZE = parseInt(process.env.API_CACHE_SIZE, 10) || 500;
+
+// Behind a proxy (Vercel, nginx) every request comes from the proxy's address
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+const MINUTE = 60 * 1000;
+
+// Launchers show only a handful of shortcuts; "Current location" takes the first slot
+const MAX_FAVORITE_SHORTCUTS = 3;
+
+// Server-side files that must never be served as static content
+const PRIVATE_PATHS = ['/server.js', '/server', '/package.json', '/package-lock.json', '/node_modules'];
+
+const OPENWEATHER_URL = 'https://api.openweathermap.org';
+const RAPIDAPI_HOST = 'weatherapi-com.p.rapidapi.com';
+
+/**
+ * How each keyed provider is authorized; keys are read from the environment on every request
+ */
+const PROVIDERS = {
+    openweathermap: {
+        name: 'OpenWeatherMap',
+        keyVariable: 'OPENWEATHER_API_KEY',
+        authorize(url, headers, key) {
+            url.searchParams.set('appid', key);
+        }
+    },
+    weatherapi: {
+        name: 'WeatherAPI.com',
+        keyVariable: 'RAPIDAPI_KEY',
+        authorize(url, headers, key) {
+            headers['X-RapidAPI-Key'] = key;
+            headers['X-RapidAPI-Host'] = RAPIDAPI_HOST;
+        }
+    }
+};
+
+/**
+ * Proxied endpoints; only the listed query parameters are passed upstream.
+ * `ttl` is how long a successful response is served from the cache.
+ */
+const API_ROUTES = {
+    '/api/weather': {
+        provider: 'openweathermap',
+        url: `${OPENWEATHER_URL}/data/2.5/weather`,
+        params: ['q', 'lat', 'lon', 'units'],
+        ttl: 5 * MINUTE
+    },
+    '/api/forecast': {
+        provider: 'openweathermap',
+        url: `${OPENWEATHER_URL}/data/2.5/forecast`,
+        params: ['q', 'lat', 'lon', 'units'],
+        ttl: 10 * MINUTE
+    },
+    '/api/air-pollution': {
+        provider: 'openweathermap',
+        url: `${OPENWEATHER_URL}/data/2.5/air_pollution`,
+        params: ['lat', 'lon'],
+        ttl: 10 * MINUTE
+    },
+    '/api/air-pollution/forecast': {
+        provider: 'openweathermap',
+        url: `${OPENWEATHER_URL}/data/2.5/air_pollution/forecast`,
+        params: ['lat', 'lon'],
+        ttl: 30 * MINUTE
+    },
+    '/api/alerts': {
+        provider: 'openweathermap',
+        url: `${OPENWEATHER_URL}/data/3.0/onecall`,
+        params: ['lat', 'lon', 'exclude'],
+        ttl: 5 * MINUTE
+    },
+    '/api/geocode': {
+        provider: 'openweathermap',
+        url: `${OPENWEATHER_URL}/geo/1.0/direct`,
+        params: ['q', 'limit'],
+        ttl: 24 * 60 * MINUTE
+    },
+    '/api/geocode/reverse': {
+        provider: 'openweathermap',
+        url: `${OPENWEATHER_URL}/geo/1.0/reverse`,
+        params: ['lat', 'lon', 'limit'],
+        ttl: 24 * 60 * MINUTE
+    },
+    '/api/weatherapi/forecast': {
+        provider: 'weatherapi',
+        url: `https://${RAPIDAPI_HOST}/forecast.json`,
+        params: ['q', 'days', 'aqi', 'alerts'],
+        ttl: 10 * MINUTE
+    },
+    '/api/weatherapi/search': {
+        provider: 'weatherapi',
+        url: `https://${RAPIDAPI_HOST}/search.json`,
+        params: ['q'],
+        ttl: 24 * 60 * MINUTE
+    }
+};
+
+function getApiKey(providerId) {
+    const key = (process.env[PROVIDERS[providerId].keyVariable] || '').trim();
+    return key && !key.startsWith('YOUR_') ? key : null;
+}
+
+function isPrivatePath(pathname) {
+    return PRIVATE_PATHS.some(privatePath => pathname === privatePath || pathname.startsWith(`${privatePath}/`));
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+const rateLimiter = new RateLimiter({ capacity: RATE_LIMIT_BURST, refillPerMinute: RATE_LIMIT_PER_MINUTE });
+const responseCache = new LruCache(API_CACHE_SIZE);
+const inFlight = new Map();
+
+setInterval(() => rateLimiter.prune(), MINUTE).unref();
+
+function getClientId(req) {
+    const forwarded = TRUST_PROXY && req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+/**
+ * Cache and coalescing key: the route and its allowed parameters in a fixed order
+ */
+function getRequestKey(pathname, route, query) {
+    const params = new URLSearchParams();
+    route.params.forEach(name => {
+        if (query.has(name)) {
+            params.set(name, query.get(name));
+        }
+    });
+    return { key: `${pathname}?${params}`, params };
+}
+
+/**
+ * Call the provider with its key added. The upstream URL is never logged or
+ * echoed back since it carries the key.
+ */
+async function fetchUpstream(route, params) {
+    const provider = PROVIDERS[route.provider];
+    const url = new URL(route.url);
+    const headers = { Accept: 'application/json' };
+    params.forEach((value, name) => url.searchParams.set(name, value));
+    provider.authorize(url, headers, getApiKey(route.provider));
+
+    try {
+        const upstream = await fetch(url, { headers, signal: AbortSignal.timeout(UPSTREAM_TIMEOUT) });
+        return {
+            status: upstream.status,
+            contentType: upstream.headers.get('content-type') || 'application/json',
+            retryAfter: upstream.headers.get('retry-after'),
+            body: await upstream.text()
+        };
+    } catch (error) {
+        const timedOut = error.name === 'TimeoutError';
+        console.error(`${provider.name} request failed:`, timedOut ? 'timed out' : error.message);
+        return {
+            status: timedOut ? 504 : 502,
+            contentType: 'application/json',
+            retryAfter: null,
+            body: JSON.stringify({ error: `${provider.name} is unreachable` })
+        };
+    }
+}
+
+/**
+ * Answer from the cache, join an identical request already in flight, or call the
+ * provider once and cache a successful answer for the route's TTL
+ */
+function getUpstreamResponse(key, route, params) {
+    const cached = responseCache.get(key);
+    if (cached) {
+        return Promise.resolve({ ...cached, cache: 'HIT' });
+    }
+
+    if (!inFlight.has(key)) {
+        inFlight.set(key, fetchUpstream(route, params)
+            .then(response => {
+                if (response.status === 200) {
+                    responseCache.set(key, response, route.ttl);
+                }
+                return response;
+            })
+            .finally(() => inFlight.delete(key)));
+    }
+    return inFlight.get(key).then(response => ({ ...response, cache: 'MISS' }));
+}
+
+/**
+ * Forward a proxied request with the provider's key added. Upstream statuses are
+ * passed through so the client's failover still sees 401/429/5xx.
+ */
+async function handleApiRequest(req, res, pathname, query) {
+    const route = API_ROUTES[pathname];
+    if (req.method !== 'GET') {
+        sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    const provider = PROVIDERS[route.provider];
+    if (!getApiKey(route.provider)) {
+        sendJson(res, 503, { error: `${provider.name} is not configured on this server` });
+        return;
+    }
+
+    const { key, params } = getRequestKey(pathname, route, query);
+
+    // Cache hits are free; only requests that may reach the provider use up tokens
+    if (!responseCache.get(key)) {
+        const retryAfter = rateLimiter.take(getClientId(req));
+        if (retryAfter > 0) {
+            res.setHeader('Retry-After', String(retryAfter));
+            sendJson(res, 429, { error: 'Too many requests', retryAfter });
+            return;
+        }
+    }
+
+    const response = await getUpstreamResponse(key, route, params);
+    const headers = {
+        'Content-Type': response.contentType,
+        'Cache-Control': 'no-store',
+        'X-Cache': response.cache
+    };
+    if (response.retryAfter) {
+        headers['Retry-After'] = response.retryAfter;
+    }
+    res.writeHead(response.status, headers);
+    res.end(response.body);
+}
+
+/**
+ * The static config.js defaults followed by the server's provider settings; never any keys
+ */
+function buildConfig() {
+    const defaults = fs.readFileSync(path.join(ROOT, 'config.js'), 'utf8');
+    const provider = process.env.WEATHER_PROVIDER || 'openweathermap';
+    const fallbacks = (process.env.WEATHER_FALLBACK_PROVIDERS || 'open-meteo')
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+    const configured = Object.keys(PROVIDERS).filter(id => getApiKey(id));
+
+    return `${defaults.trimEnd()}
+
+// Set by server.js
+window.WEATHER_PROVIDER = ${JSON.stringify(provider)};
+window.WEATHER_FALLBACK_PROVIDERS = ${JSON.stringify(fallbacks)};
+window.WEATHER_CONFIGURED_PROVIDERS = ${JSON.stringify(configured)};
+`;
+}
+
+/**
+ * Build app shortcuts from the ?favorites=[{"name", "lat", "lon"}, ...] the page sends
+ */
+function getFavoriteShortcuts(query) {
+    let favorites;
+    try {
+        favorites = JSON.parse(query.get('favorites') || '[]');
+    } catch (error) {
+        return [];
+    }
+    if (!Array.isArray(favorites)) {
+        return [];
+    }
+
+    const shortcuts = [];
+    for (const favorite of favorites) {
+        if (shortcuts.length === MAX_FAVORITE_SHORTCUTS) break;
+        if (!favorite || typeof favorite !== 'object') continue;
+
+        const name = String(favorite.name || '').trim().slice(0, 60);
+        const lat = Number(favorite.lat);
+        const lon = Number(favorite.lon);
+        if (!name || !(Math.abs(lat) <= 90 && Math.abs(lon) <= 180)) continue;
+
+        // Same query string the app router writes, so the shortcut opens on that location
+        const params = new URLSearchParams({ q: name, lat: lat.toFixed(4), lon: lon.toFixed(4) });
+        shortcuts.push({
+            name: name,
+            description: `Weather in ${name}`,
+            url: `/?${params}`,
+            icons: [
+                { src: '/assets/app-icon.svg', sizes: 'any', type: 'image/svg+xml' },
+                { src: '/assets/app-icon-192.png', sizes: '192x192', type: 'image/png' }
+            ]
+        });
+    }
+    return shortcuts;
+}
+
+function buildManifest(query) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.webmanifest'), 'utf8'));
+    manifest.shortcuts = (manifest.shortcuts || []).concat(getFavoriteShortcuts(query));
+    return manifest;
+}
+
+/**
+ * http-server middleware: answer the generated routes, pass everything else to the static files
+ */
+function routeRequest(req, res) {
+    const [rawPath, rawQuery = ''] = req.url.split('?');
+    const searchParams = new URLSearchParams(rawQuery);
+
+    // Decode and normalize like the static file server does, so "//server.js" or
+    // "/scripts/..%2fserver.js" cannot slip past the private path check
+    let pathname;
+    try {
+        pathname = path.posix.normalize(decodeURIComponent(rawPath)).replace(/(.)\/+$/, '$1');
+    } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('Bad request');
+        return;
+    }
+
+    if (API_ROUTES[pathname]) {
+        handleApiRequest(req, res, pathname, searchParams);
+    } else if (pathname.startsWith('/api/')) {
+        sendJson(res, 404, { error: 'Unknown API route' });
+    } else if (isPrivatePath(pathname)) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+    } else if (pathname === '/config.js') {
+        res.writeHead(200, {
+            'Content-Type': 'application/javascript',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(buildConfig());
+    } else if (pathname === '/manifest.webmanifest') {
+        // Serve the manifest with the user's favorite cities added as shortcuts
+        res.writeHead(200, {
+            'Content-Type': 'application/manifest+json',
+            'Cache-Control': 'no-cache'
+        });
+        res.end(JSON.stringify(buildManifest(searchParams)));
+    } else {
+        res.emit('next');
+    }
+}
+
+function createServer() {
+    return httpServer.createServer({
+        root: ROOT,
+        cache: -1,
+        showDir: 'false',
+        showDotfiles: false,
+        before: [routeRequest]
+    });
+}
+
+const app = createServer();
+
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Serving weather app at http://localhost:${PORT}`);
+    });
+}
+
+// Function hosts such as Vercel call the request listener directly
+module.exports = (req, res) => app.server.emit('request', req, res);
@@ -0,0 +1,37 @@
+/**
+ * LRU Cache
+ * In-memory cache for upstream API responses. Each entry carries its own TTL;
+ * once `limit` entries are stored the least recently used one is evicted.
+ */
+
+class LruCache {
+    constructor(limit) {
+        this.limit = limit;
+        // Map keeps insertion order, so the first key is always the least recently used
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        this.entries.delete(key);
+        if (entry.expires <= Date.now()) {
+            return null;
+        }
+
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expires: Date.now() + ttl });
+
+        while (this.entries.size > this.limit) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+module.exports = LruCache;
@@ -0,0 +1,45 @@
+/**
+ * Rate Limiter
+ * Token bucket per client: up to `capacity` requests in a burst, refilled at
+ * `refillPerMinute`. Buckets that have refilled completely are dropped by prune().
+ */
+
+class RateLimiter {
+    constructor({ capacity, refillPerMinute }) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerMinute / 60;
+        this.buckets = new Map();
+    }
+
+    /**
+     * Take a token for the client; 0 when the request may go ahead,
+     * otherwise the seconds until the next token is available
+     */
+    take(clientId) {
+        const bucket = this.refill(this.buckets.get(clientId) || { tokens: this.capacity, updated: Date.now() });
+        this.buckets.set(clientId, bucket);
+
+        if (bucket.tokens >= 1) {
+            bucket.tokens -= 1;
+            return 0;
+        }
+        return Math.ceil((1 - bucket.tokens) / this.refillPerSecond);
+    }
+
+    refill(bucket) {
+        const now = Date.now();
+        bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updated) / 1000 * this.refillPerSecond);
+        bucket.updated = now;
+        return bucket;
+    }
+
+    prune() {
+        this.buckets.forEach((bucket, clientId) => {
+            if (this.refill(bucket).tokens >= this.capacity) {
+                this.buckets.delete(clientId);
+            }
+        });
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,165 @@
+/**
+ * Service Worker
+ * Precaches the app shell so the app opens without a connection, and keeps the
+ * latest weather API response for each request (network first) so the last
+ * known forecast for a location can still be shown offline. The page, scripts
+ * and styles are also network first, so a new deploy never runs with old code.
+ *
+ * Bump CACHE_VERSION when the shell file list changes.
+ */
+
+const CACHE_VERSION = 'v5';
+const SHELL_CACHE = `weatherwave-shell-${CACHE_VERSION}`;
+const API_CACHE = `weatherwave-api-${CACHE_VERSION}`;
+const API_CACHE_LIMIT = 80;
+
+const SHELL_FILES = [
+    '/',
+    '/index.html',
+    '/manifest.webmanifest',
+    '/config.js',
+    '/scripts/errors.js',
+    '/styles/main.css',
+    '/styles/animations.css',
+    '/styles/responsive.css',
+    '/scripts/providers.js',
+    '/scripts/cache.js',
+    '/scripts/astronomy.js',
+    '/scripts/alerts.js',
+    '/scripts/weather.js',
+    '/scripts/units.js',
+    '/scripts/favorites.js',
+    '/scripts/notifications.js',
+    '/scripts/compare.js',
+    '/scripts/charts.js',
+    '/scripts/router.js',
+    '/scripts/animations.js',
+    '/scripts/main.js',
+    '/assets/icons.svg',
+    '/assets/app-icon.svg',
+    '/assets/app-icon-maskable.svg',
+    '/assets/shortcut-location.svg',
+    '/assets/app-icon-192.png',
+    '/assets/app-icon-512.png',
+    '/assets/apple-touch-icon.png'
+];
+
+// Keyed APIs are proxied by server.js under /api/; the rest are called directly
+const API_PATH = '/api/';
+const API_HOSTS = [
+    'api.open-meteo.com',
+    'geocoding-api.open-meteo.com',
+    'api.weather.gov'
+];
+
+// Fonts and icons from CDNs are cached like the shell once they have been loaded
+const CDN_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== API_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    const isSameOrigin = url.origin === self.location.origin;
+
+    if (API_HOSTS.includes(url.hostname) || (isSameOrigin && url.pathname.startsWith(API_PATH))) {
+        event.respondWith(networkFirst(request, API_CACHE, API_CACHE_LIMIT));
+    } else if (isSameOrigin && url.pathname === '/manifest.webmanifest') {
+        // The manifest carries the favorites as shortcuts, so the latest copy wins
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (request.mode === 'navigate') {
+        // Routes carry the location in the query string; any of them is served by index.html,
+        // and the latest copy is kept so offline the page matches the cached scripts
+        event.respondWith(navigate(request, url));
+    } else if (isSameOrigin && (request.destination === 'script' || request.destination === 'style')) {
+        // Scripts and styles must match the freshly loaded page; a previous deploy's copy only offline
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else if (isSameOrigin || CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Load the page from the network, falling back to the cached index.html offline
+ */
+async function navigate(request, url) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && (url.pathname === '/' || url.pathname === '/index.html')) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put('/index.html', response.clone());
+        }
+        return response;
+    } catch (error) {
+        return caches.match('/index.html');
+    }
+}
+
+/**
+ * Try the network and keep a copy; fall back to the last copy when the network fails
+ */
+async function networkFirst(request, cacheName, limit = 0) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+            if (limit > 0) {
+                await trimCache(cache, limit);
+            }
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Answer from the cache straight away and refresh the copy in the background
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: request.url.startsWith(self.location.origin) });
+
+    const refresh = fetch(request)
+        .then(response => {
+            // Opaque CDN responses report status 0 but are still usable
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || refresh;
+}
+
+/**
+ * Drop the oldest entries (cache keys keep insertion order) beyond the limit
+ */
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}